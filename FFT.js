@@ -2,125 +2,801 @@
 // TurboWarp / Scratch 3 extension to compute FFT / IFFT on lists.
 // Returns flattened complex lists: [re0, im0, re1, im1, ...]
 // Author: ChatGPT (example). Use freely.
+// Load as an unsandboxed extension; every block reads one Scratch list and writes the result into another.
+// Windows: rectangular, Hann, Hamming, Blackman, Blackman-Harris, flat-top; "real FFT" keeps bins 0..N/2.
+// STFT / inverse STFT with overlap-add turn a list into a frames x bins spectrogram and back.
+// Linear / circular convolution, cross-correlation with a best-alignment reporter, normalized autocorrelation.
+// Low-pass / high-pass / band-pass / notch filters and a multi-band EQ (linear-phase FIR, overlap-add).
+// Sounds from the sprite's library can be read as samples or analysed directly (FFT, magnitudes, spectrogram).
+// Pitch tools: dominant frequency, top spectral peaks, YIN pitch with confidence, MIDI note / note name.
+// Any length N gets an exact N-point DFT (mixed radix, Bluestein for large primes) unless padding is turned on.
+// Power-of-two sizes use cached bit-reversal and twiddle tables; real input runs as a half-size complex FFT.
+// Outside TurboWarp (e.g. Node) the file exports the extension class instead (benchmark: node benchmark/fft.js).
 
-class FFTExtension {
-    constructor (runtime) {
-        this.runtime = runtime;
-    }
-
-    getInfo () {
-        return {
-            id: 'fft_extension',
-            name: 'FFT',
-            color1: '#4A90E2',
-            color2: '#357ABD',
-            color3: '#2D6CA6',
-            blocks: [
-                {
-                    opcode: 'fft',
-                    blockType: 'reporter',
-                    text: 'FFT of list %1',
-                    arguments: {
-                        LIST: {
-                            type: 'array',
-                            defaultValue: []
+(function (Scratch) {
+    'use strict';
+
+    // Cosine-sum windows: w[n] = a0 - a1 cos(2 pi n / N) + a2 cos(4 pi n / N) - ...
+    const WINDOWS = {
+        'rectangular': [1],
+        'Hann': [0.5, 0.5],
+        'Hamming': [0.54, 0.46],
+        'Blackman': [0.42, 0.5, 0.08],
+        'Blackman-Harris': [0.35875, 0.48829, 0.14128, 0.01168],
+        'flat-top': [0.21557895, 0.41663158, 0.277263158, 0.083578947, 0.006947368]
+    };
+
+    const FILTER_TYPES = ['low-pass', 'high-pass', 'band-pass', 'notch'];
+    // longest FIR the filter blocks design (about 0.75 s at 44.1 kHz)
+    const MAX_FILTER_TAPS = 32767;
+
+    // FFT plans and windows kept per size
+    const MAX_PLANS = 16;
+
+    const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+    // YIN: the first lag whose normalized difference dips below this counts as the period
+    const YIN_THRESHOLD = 0.1;
+
+    class FFTExtension {
+        constructor (runtime) {
+            this.runtime = runtime;
+            // shape of the last STFT, for the "last STFT" reporter, plus its input length and hop so the
+            // inverse STFT of that spectrogram comes back at the original length
+            this.lastStft = { frames: 0, bins: 0, samples: 0, hop: 0 };
+            // zero-pad every transform to a power of two (the old behaviour) instead of an exact N-point DFT
+            this.padToPowerOfTwo = false;
+            // 0..1, how periodic the list given to the last "pitch (YIN)" was
+            this.lastPitchConfidence = 0;
+        }
+
+        getInfo () {
+            return {
+                id: 'fft_extension',
+                name: 'FFT',
+                color1: '#4A90E2',
+                color2: '#357ABD',
+                color3: '#2D6CA6',
+                blocks: [
+                    {
+                        opcode: 'fft',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'FFT of list [SRC] with [WINDOW] window into list [DST]',
+                        arguments: {
+                            SRC: { type: Scratch.ArgumentType.STRING, menu: 'LIST' },
+                            WINDOW: { type: Scratch.ArgumentType.STRING, menu: 'WINDOW', defaultValue: 'rectangular' },
+                            DST: { type: Scratch.ArgumentType.STRING, menu: 'LIST' }
                         }
-                    }
-                },
-                {
-                    opcode: 'ifft',
-                    blockType: 'reporter',
-                    text: 'IFFT of flattened complex list %1',
-                    arguments: {
-                        LIST: {
-                            type: 'array',
-                            defaultValue: []
+                    },
+                    {
+                        opcode: 'realFft',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'real FFT of list [SRC] with [WINDOW] window into list [DST]',
+                        arguments: {
+                            SRC: { type: Scratch.ArgumentType.STRING, menu: 'LIST' },
+                            WINDOW: { type: Scratch.ArgumentType.STRING, menu: 'WINDOW', defaultValue: 'Hann' },
+                            DST: { type: Scratch.ArgumentType.STRING, menu: 'LIST' }
                         }
-                    }
-                },
-                {
-                    opcode: 'magnitude',
-                    blockType: 'reporter',
-                    text: 'Magnitude of flattened complex list %1',
-                    arguments: {
-                        LIST: {
-                            type: 'array',
-                            defaultValue: []
+                    },
+                    {
+                        opcode: 'ifft',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'inverse FFT of flattened complex list [SRC] into list [DST]',
+                        arguments: {
+                            SRC: { type: Scratch.ArgumentType.STRING, menu: 'LIST' },
+                            DST: { type: Scratch.ArgumentType.STRING, menu: 'LIST' }
                         }
-                    }
-                },
-                {
-                    opcode: 'nextPow2',
-                    blockType: 'reporter',
-                    text: 'Next power of two ≥ %1',
-                    arguments: {
-                        N: {
-                            type: 'number',
-                            defaultValue: 1
+                    },
+                    {
+                        opcode: 'magnitude',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'magnitudes of flattened complex list [SRC] into list [DST]',
+                        arguments: {
+                            SRC: { type: Scratch.ArgumentType.STRING, menu: 'LIST' },
+                            DST: { type: Scratch.ArgumentType.STRING, menu: 'LIST' }
+                        }
+                    },
+                    {
+                        opcode: 'stft',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'STFT of list [SRC] frame [SIZE] hop [HOP] with [WINDOW] window into list [DST]',
+                        arguments: {
+                            SRC: { type: Scratch.ArgumentType.STRING, menu: 'LIST' },
+                            SIZE: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1024 },
+                            HOP: { type: Scratch.ArgumentType.NUMBER, defaultValue: 256 },
+                            WINDOW: { type: Scratch.ArgumentType.STRING, menu: 'WINDOW', defaultValue: 'Hann' },
+                            DST: { type: Scratch.ArgumentType.STRING, menu: 'LIST' }
+                        }
+                    },
+                    {
+                        opcode: 'istft',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'inverse STFT of list [SRC] frame [SIZE] hop [HOP] with [WINDOW] window into list [DST]',
+                        arguments: {
+                            SRC: { type: Scratch.ArgumentType.STRING, menu: 'LIST' },
+                            SIZE: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1024 },
+                            HOP: { type: Scratch.ArgumentType.NUMBER, defaultValue: 256 },
+                            WINDOW: { type: Scratch.ArgumentType.STRING, menu: 'WINDOW', defaultValue: 'Hann' },
+                            DST: { type: Scratch.ArgumentType.STRING, menu: 'LIST' }
+                        }
+                    },
+                    {
+                        opcode: 'stftSize',
+                        blockType: Scratch.BlockType.REPORTER,
+                        text: 'last STFT [DIM]',
+                        arguments: { DIM: { type: Scratch.ArgumentType.STRING, menu: 'STFT_DIM', defaultValue: 'frames' } }
+                    },
+                    {
+                        opcode: 'soundSamples',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'samples of sound [SOUND] from [START] s for [LENGTH] s into list [DST]',
+                        arguments: {
+                            SOUND: { type: Scratch.ArgumentType.STRING, menu: 'SOUND' },
+                            START: { type: Scratch.ArgumentType.NUMBER, defaultValue: 0 },
+                            LENGTH: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1 },
+                            DST: { type: Scratch.ArgumentType.STRING, menu: 'LIST' }
+                        }
+                    },
+                    {
+                        opcode: 'soundSpectrum',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: '[KIND] of sound [SOUND] from [START] s for [LENGTH] s window [WINDOW] into list [DST]',
+                        arguments: {
+                            KIND: { type: Scratch.ArgumentType.STRING, menu: 'SPECTRUM', defaultValue: 'magnitudes' },
+                            SOUND: { type: Scratch.ArgumentType.STRING, menu: 'SOUND' },
+                            START: { type: Scratch.ArgumentType.NUMBER, defaultValue: 0 },
+                            LENGTH: { type: Scratch.ArgumentType.NUMBER, defaultValue: 0.05 },
+                            WINDOW: { type: Scratch.ArgumentType.STRING, menu: 'WINDOW', defaultValue: 'Hann' },
+                            DST: { type: Scratch.ArgumentType.STRING, menu: 'LIST' }
+                        }
+                    },
+                    {
+                        opcode: 'soundStft',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'spectrogram of sound [SOUND] from [START] s for [LENGTH] s size [SIZE] hop [HOP] window [WINDOW] into list [DST]',
+                        arguments: {
+                            SOUND: { type: Scratch.ArgumentType.STRING, menu: 'SOUND' },
+                            START: { type: Scratch.ArgumentType.NUMBER, defaultValue: 0 },
+                            LENGTH: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1 },
+                            SIZE: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1024 },
+                            HOP: { type: Scratch.ArgumentType.NUMBER, defaultValue: 256 },
+                            WINDOW: { type: Scratch.ArgumentType.STRING, menu: 'WINDOW', defaultValue: 'Hann' },
+                            DST: { type: Scratch.ArgumentType.STRING, menu: 'LIST' }
+                        }
+                    },
+                    {
+                        opcode: 'soundRate',
+                        blockType: Scratch.BlockType.REPORTER,
+                        text: 'sample rate of sound [SOUND]',
+                        arguments: { SOUND: { type: Scratch.ArgumentType.STRING, menu: 'SOUND' } }
+                    },
+                    {
+                        opcode: 'convolve',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: '[MODE] convolution of list [A] with list [B] into list [DST]',
+                        arguments: {
+                            MODE: { type: Scratch.ArgumentType.STRING, menu: 'CONVOLUTION', defaultValue: 'linear' },
+                            A: { type: Scratch.ArgumentType.STRING, menu: 'LIST' },
+                            B: { type: Scratch.ArgumentType.STRING, menu: 'LIST' },
+                            DST: { type: Scratch.ArgumentType.STRING, menu: 'LIST' }
+                        }
+                    },
+                    {
+                        opcode: 'crossCorrelate',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'cross-correlation of list [A] with list [B] into list [DST]',
+                        arguments: {
+                            A: { type: Scratch.ArgumentType.STRING, menu: 'LIST' },
+                            B: { type: Scratch.ArgumentType.STRING, menu: 'LIST' },
+                            DST: { type: Scratch.ArgumentType.STRING, menu: 'LIST' }
+                        }
+                    },
+                    {
+                        opcode: 'bestLag',
+                        blockType: Scratch.BlockType.REPORTER,
+                        text: 'best alignment of list [A] within list [B]',
+                        arguments: {
+                            A: { type: Scratch.ArgumentType.STRING, menu: 'LIST' },
+                            B: { type: Scratch.ArgumentType.STRING, menu: 'LIST' }
+                        }
+                    },
+                    {
+                        opcode: 'autocorrelate',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'normalized autocorrelation of list [SRC] into list [DST]',
+                        arguments: {
+                            SRC: { type: Scratch.ArgumentType.STRING, menu: 'LIST' },
+                            DST: { type: Scratch.ArgumentType.STRING, menu: 'LIST' }
+                        }
+                    },
+                    {
+                        opcode: 'filter',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: '[TYPE] filter list [SRC] at [RATE] Hz, frequency [FREQ] Hz width [WIDTH] Hz into list [DST]',
+                        arguments: {
+                            TYPE: { type: Scratch.ArgumentType.STRING, menu: 'FILTER', defaultValue: 'low-pass' },
+                            SRC: { type: Scratch.ArgumentType.STRING, menu: 'LIST' },
+                            RATE: { type: Scratch.ArgumentType.NUMBER, defaultValue: 44100 },
+                            FREQ: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1000 },
+                            WIDTH: { type: Scratch.ArgumentType.NUMBER, defaultValue: 200 },
+                            DST: { type: Scratch.ArgumentType.STRING, menu: 'LIST' }
+                        }
+                    },
+                    {
+                        opcode: 'equalize',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'equalize list [SRC] at [RATE] Hz, band frequencies [FREQS] gains (dB) [GAINS] into list [DST]',
+                        arguments: {
+                            SRC: { type: Scratch.ArgumentType.STRING, menu: 'LIST' },
+                            RATE: { type: Scratch.ArgumentType.NUMBER, defaultValue: 44100 },
+                            FREQS: { type: Scratch.ArgumentType.STRING, menu: 'LIST' },
+                            GAINS: { type: Scratch.ArgumentType.STRING, menu: 'LIST' },
+                            DST: { type: Scratch.ArgumentType.STRING, menu: 'LIST' }
+                        }
+                    },
+                    {
+                        opcode: 'dominantFrequency',
+                        blockType: Scratch.BlockType.REPORTER,
+                        text: 'dominant frequency of list [SRC] at [RATE] Hz',
+                        arguments: {
+                            SRC: { type: Scratch.ArgumentType.STRING, menu: 'LIST' },
+                            RATE: { type: Scratch.ArgumentType.NUMBER, defaultValue: 44100 }
+                        }
+                    },
+                    {
+                        opcode: 'topPeaks',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'top [K] spectral peaks of list [SRC] at [RATE] Hz into list [DST]',
+                        arguments: {
+                            K: { type: Scratch.ArgumentType.NUMBER, defaultValue: 5 },
+                            SRC: { type: Scratch.ArgumentType.STRING, menu: 'LIST' },
+                            RATE: { type: Scratch.ArgumentType.NUMBER, defaultValue: 44100 },
+                            DST: { type: Scratch.ArgumentType.STRING, menu: 'LIST' }
+                        }
+                    },
+                    {
+                        opcode: 'pitch',
+                        blockType: Scratch.BlockType.REPORTER,
+                        text: 'pitch (YIN) of list [SRC] at [RATE] Hz',
+                        arguments: {
+                            SRC: { type: Scratch.ArgumentType.STRING, menu: 'LIST' },
+                            RATE: { type: Scratch.ArgumentType.NUMBER, defaultValue: 44100 }
+                        }
+                    },
+                    {
+                        opcode: 'pitchConfidence',
+                        blockType: Scratch.BlockType.REPORTER,
+                        text: 'confidence of last pitch'
+                    },
+                    {
+                        opcode: 'midiNote',
+                        blockType: Scratch.BlockType.REPORTER,
+                        text: 'nearest MIDI note to [FREQ] Hz',
+                        arguments: { FREQ: { type: Scratch.ArgumentType.NUMBER, defaultValue: 440 } }
+                    },
+                    {
+                        opcode: 'noteName',
+                        blockType: Scratch.BlockType.REPORTER,
+                        text: 'note name of [FREQ] Hz',
+                        arguments: { FREQ: { type: Scratch.ArgumentType.NUMBER, defaultValue: 440 } }
+                    },
+                    {
+                        opcode: 'centsOff',
+                        blockType: Scratch.BlockType.REPORTER,
+                        text: 'cents from nearest note of [FREQ] Hz',
+                        arguments: { FREQ: { type: Scratch.ArgumentType.NUMBER, defaultValue: 440 } }
+                    },
+                    {
+                        opcode: 'setPadding',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'pad FFTs to a power of two [PAD]',
+                        arguments: { PAD: { type: Scratch.ArgumentType.STRING, menu: 'ON_OFF', defaultValue: 'off' } }
+                    },
+                    {
+                        opcode: 'binFrequency',
+                        blockType: Scratch.BlockType.REPORTER,
+                        text: 'frequency of bin [K] in [SIZE]-point FFT at [RATE] Hz',
+                        arguments: {
+                            K: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1 },
+                            SIZE: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1024 },
+                            RATE: { type: Scratch.ArgumentType.NUMBER, defaultValue: 44100 }
+                        }
+                    },
+                    {
+                        opcode: 'nextPow2',
+                        blockType: Scratch.BlockType.REPORTER,
+                        text: 'next power of two ≥ [N]',
+                        arguments: {
+                            N: {
+                                type: Scratch.ArgumentType.NUMBER,
+                                defaultValue: 1
+                            }
                         }
                     }
+                ],
+                menus: {
+                    LIST: { acceptReporters: true, items: '_listMenu' },
+                    SOUND: { acceptReporters: true, items: '_soundMenu' },
+                    SPECTRUM: ['FFT', 'real FFT', 'magnitudes'],
+                    WINDOW: { acceptReporters: true, items: Object.keys(WINDOWS) },
+                    STFT_DIM: ['frames', 'bins', 'samples'],
+                    ON_OFF: ['on', 'off'],
+                    CONVOLUTION: ['linear', 'circular'],
+                    FILTER: FILTER_TYPES
                 }
-            ],
-            menus: {}
-        };
-    }
-
-    // Reporter: FFT of a real-valued list (numbers or numeric strings).
-    fft (args) {
-        const inputList = args.LIST || [];
-        // Convert to numbers
-        const input = inputList.map(x => {
-            const n = Number(x);
-            return Number.isFinite(n) ? n : 0;
-        });
-
-        const n = nextPowerOfTwo(input.length);
-        // pad with zeros
-        const re = new Array(n).fill(0);
-        const im = new Array(n).fill(0);
-        for (let i = 0; i < input.length; i++) re[i] = input[i];
-
-        fftInternal(re, im, false);
-
-        // flatten as [re0, im0, re1, im1, ...]
-        const out = new Array(n * 2);
-        for (let i = 0; i < n; i++) {
+            };
+        }
+
+        // FFT of a real-valued list (numbers or numeric strings), windowed; N bins for N samples unless
+        // padding to a power of two is on.
+        fft (args, util) {
+            const input = this._readList(args.SRC, util);
+            if (!input) return;
+            this._writeList(args.DST, util, fftOfReal(applyWindow(input, args.WINDOW), false, this.padToPowerOfTwo));
+        }
+
+        // Like fft, but only bins 0..N/2: the rest of a real signal's spectrum mirrors them.
+        realFft (args, util) {
+            const input = this._readList(args.SRC, util);
+            if (!input) return;
+            this._writeList(args.DST, util, fftOfReal(applyWindow(input, args.WINDOW), true, this.padToPowerOfTwo));
+        }
+
+        // Inverse FFT of a flattened complex list. The imaginary parts of a real signal come back near 0;
+        // the result stays flattened complex for symmetry.
+        ifft (args, util) {
+            const input = this._readList(args.SRC, util);
+            if (!input) return;
+            this._writeList(args.DST, util, ifftOfComplex(input, this.padToPowerOfTwo));
+        }
+
+        magnitude (args, util) {
+            const input = this._readList(args.SRC, util);
+            if (!input) return;
+            this._writeList(args.DST, util, magnitudes(input));
+        }
+
+        // Spectrogram as frames x bins, frame after frame, each bin a flattened [re, im] pair
+        // (bins 0..SIZE/2, as from "real FFT"). SIZE is rounded up to a power of two when padding is on.
+        stft (args, util) {
+            const input = this._readList(args.SRC, util);
+            if (!input) return;
+            const size = this._frameSize(args.SIZE);
+            const hop = clampHop(args.HOP, size);
+            const result = stft(input, size, hop, args.WINDOW);
+            this.lastStft = { frames: result.frames, bins: result.bins, samples: input.length, hop: hop };
+            this._writeList(args.DST, util, result.data);
+        }
+
+        // Overlap-add resynthesis of a spectrogram made with the same frame, hop and window. A spectrogram
+        // shaped like the last STFT (same frames, bins and hop) is trimmed back to that STFT's input length;
+        // any other comes back rounded up to a whole hop.
+        istft (args, util) {
+            const input = this._readList(args.SRC, util);
+            if (!input) return;
+            const size = this._frameSize(args.SIZE);
+            const hop = clampHop(args.HOP, size);
+            const bins = (size >> 1) + 1;
+            const last = this.lastStft;
+            const sameShape = last.bins === bins && last.hop === hop && Math.floor(input.length / (bins * 2)) === last.frames;
+            this._writeList(args.DST, util, istft(input, size, hop, args.WINDOW, sameShape ? last.samples : 0));
+        }
+
+        stftSize (args) {
+            const dim = String(args.DIM);
+            if (dim === 'samples') return this.lastStft.samples;
+            return dim === 'bins' ? this.lastStft.bins : this.lastStft.frames;
+        }
+
+        // Sounds are read from the sprite's own sound library (by name, or by number like the
+        // "play sound" block), channels mixed down to mono. LENGTH 0 means up to the end of the sound.
+        soundSamples (args, util) {
+            const clip = this._readSound(args.SOUND, args.START, args.LENGTH, util);
+            if (!clip) return;
+            this._writeList(args.DST, util, clip.samples);
+        }
+
+        // FFT / real FFT as flattened pairs, magnitudes of bins 0..N/2
+        soundSpectrum (args, util) {
+            const clip = this._readSound(args.SOUND, args.START, args.LENGTH, util);
+            if (!clip) return;
+            const kind = String(args.KIND).toLowerCase();
+            const windowed = applyWindow(clip.samples, args.WINDOW);
+            const spectrum = fftOfReal(windowed, kind !== 'fft', this.padToPowerOfTwo);
+            this._writeList(args.DST, util, kind === 'magnitudes' ? magnitudes(spectrum) : spectrum);
+        }
+
+        soundStft (args, util) {
+            const clip = this._readSound(args.SOUND, args.START, args.LENGTH, util);
+            if (!clip) return;
+            const size = this._frameSize(args.SIZE);
+            const hop = clampHop(args.HOP, size);
+            const result = stft(clip.samples, size, hop, args.WINDOW);
+            this.lastStft = { frames: result.frames, bins: result.bins, samples: clip.samples.length, hop: hop };
+            this._writeList(args.DST, util, result.data);
+        }
+
+        soundRate (args, util) {
+            const buffer = this._lookupSound(args.SOUND, util);
+            return buffer ? buffer.sampleRate : 0;
+        }
+
+        // linear: length A + B - 1; circular: length of the longer list, the shorter one zero-padded
+        convolve (args, util) {
+            const a = this._readList(args.A, util);
+            const b = this._readList(args.B, util);
+            if (!a || !b) return;
+            const circular = String(args.MODE).toLowerCase() === 'circular';
+            this._writeList(args.DST, util, circular ? convolveCircular(a, b) : convolveLinear(a, b));
+        }
+
+        // item i is the sum of A[n] * B[n + lag] for lag = i - (length of A - 1), so lags run from
+        // -(length of A - 1) to length of B - 1
+        crossCorrelate (args, util) {
+            const a = this._readList(args.A, util);
+            const b = this._readList(args.B, util);
+            if (!a || !b) return;
+            this._writeList(args.DST, util, crossCorrelation(a, b));
+        }
+
+        // where A's first item lines up in B for the closest match (0-based, may be negative): the lag with the
+        // highest normalized cross-correlation, so a loud stretch of B doesn't outscore a quiet exact copy of A
+        bestLag (args, util) {
+            const a = this._readList(args.A, util);
+            const b = this._readList(args.B, util);
+            if (!a || !b || a.length === 0 || b.length === 0) return 0;
+            const scores = normalizedCrossCorrelation(a, b);
+            let best = 0;
+            for (let i = 1; i < scores.length; i++) {
+                if (scores[i] > scores[best]) best = i;
+            }
+            // nothing resembles A (e.g. silence): no alignment to report
+            return scores[best] > 0 ? best - (a.length - 1) : 0;
+        }
+
+        // lags 0..N-1, divided by the lag-0 energy so item 1 is 1 (all 0 for a silent list)
+        autocorrelate (args, util) {
+            const input = this._readList(args.SRC, util);
+            if (!input) return;
+            this._writeList(args.DST, util, autocorrelation(input));
+        }
+
+        // Linear-phase FIR filter applied by overlap-add; the delay is taken out, so the result lines up
+        // with the input and has the same length. Low-/high-pass: FREQ is the cutoff (-6 dB) and WIDTH the
+        // transition band. Band-pass/notch: FREQ is the centre and WIDTH the band, with half-width transitions.
+        filter (args, util) {
+            const input = this._readList(args.SRC, util);
+            if (!input) return;
+            const rate = Number(args.RATE) || 0;
+            const response = filterResponse(args.TYPE, Number(args.FREQ) || 0, Number(args.WIDTH) || 0);
+            if (!response || !(rate > 0)) {
+                console.warn('FFT: bad filter settings:', args.TYPE, args.FREQ, args.WIDTH, args.RATE);
+                this._writeList(args.DST, util, input);
+                return;
+            }
+            const h = designFir(response.gain, rate, filterTaps(rate, response.resolution));
+            this._writeList(args.DST, util, overlapAdd(input, h));
+        }
+
+        // Item i of GAINS is the gain in dB at FREQS item i; in between, the gain changes in a straight
+        // line over octaves, and it stays flat below the lowest and above the highest band.
+        equalize (args, util) {
+            const input = this._readList(args.SRC, util);
+            const freqs = this._readList(args.FREQS, util);
+            const gains = this._readList(args.GAINS, util);
+            if (!input || !freqs || !gains) return;
+            const rate = Number(args.RATE) || 0;
+            const bands = [];
+            for (let i = 0; i < Math.min(freqs.length, gains.length); i++) {
+                if (freqs[i] > 0) bands.push({ freq: freqs[i], db: gains[i] });
+            }
+            if (bands.length === 0 || !(rate > 0)) {
+                this._writeList(args.DST, util, input);
+                return;
+            }
+            bands.sort((a, b) => a.freq - b.freq);
+            const h = designFir(f => equalizerGain(bands, f), rate, filterTaps(rate, bands[0].freq));
+            this._writeList(args.DST, util, overlapAdd(input, h));
+        }
+
+        // strongest peak of the Hann-windowed spectrum, refined between bins; 0 for silence
+        dominantFrequency (args, util) {
+            const input = this._readList(args.SRC, util);
+            if (!input) return 0;
+            const peaks = spectralPeaks(input, Number(args.RATE) || 0, 1);
+            return peaks.length ? peaks[0].frequency : 0;
+        }
+
+        // flattened [frequency, amplitude] pairs, strongest first; a sine of amplitude A reports about A
+        topPeaks (args, util) {
+            const input = this._readList(args.SRC, util);
+            if (!input) return;
+            const count = Math.max(0, Math.floor(Number(args.K) || 0));
+            const peaks = spectralPeaks(input, Number(args.RATE) || 0, count);
+            const out = [];
+            for (const peak of peaks) out.push(peak.frequency, peak.magnitude);
+            this._writeList(args.DST, util, out);
+        }
+
+        // fundamental in Hz, 0 when nothing periodic is found; the list should hold at least two periods
+        pitch (args, util) {
+            const input = this._readList(args.SRC, util);
+            const result = input ? yinPitch(input, Number(args.RATE) || 0) : { frequency: 0, confidence: 0 };
+            this.lastPitchConfidence = result.confidence;
+            return result.frequency;
+        }
+
+        pitchConfidence () {
+            return this.lastPitchConfidence;
+        }
+
+        midiNote (args) {
+            const midi = frequencyToMidi(Number(args.FREQ));
+            return isFinite(midi) ? Math.round(midi) : 0;
+        }
+
+        // e.g. "A4", "C#5"; empty for frequencies that are not positive
+        noteName (args) {
+            const midi = frequencyToMidi(Number(args.FREQ));
+            if (!isFinite(midi)) return '';
+            const note = Math.round(midi);
+            return NOTE_NAMES[((note % 12) + 12) % 12] + (Math.floor(note / 12) - 1);
+        }
+
+        centsOff (args) {
+            const midi = frequencyToMidi(Number(args.FREQ));
+            return isFinite(midi) ? (midi - Math.round(midi)) * 100 : 0;
+        }
+
+        setPadding (args) {
+            this.padToPowerOfTwo = String(args.PAD).toLowerCase() === 'on';
+        }
+
+        // bin k sits at k * rate / size Hz; bins past size / 2 are the negative frequencies
+        binFrequency (args) {
+            const size = Number(args.SIZE);
+            if (!(size > 0)) return 0;
+            return (Number(args.K) || 0) * (Number(args.RATE) || 0) / size;
+        }
+
+        // Reporter: next power of two >= N
+        nextPow2 (args) {
+            const n = Math.max(1, Math.floor(Number(args.N) || 0));
+            return nextPowerOfTwo(n);
+        }
+
+        _frameSize (value) {
+            const size = Math.max(2, Math.min(65536, Math.round(Number(value) || 1024)));
+            return this.padToPowerOfTwo ? nextPowerOfTwo(size) : size;
+        }
+
+        // lists of the stage and the sprite being edited
+        _listMenu () {
+            const names = [];
+            const targets = this.runtime ? [this.runtime.getTargetForStage(), this.runtime.getEditingTarget()] : [];
+            for (const target of targets) {
+                if (!target) continue;
+                for (const id in target.variables) {
+                    const variable = target.variables[id];
+                    if (variable.type === 'list' && names.indexOf(variable.name) === -1) names.push(variable.name);
+                }
+            }
+            return names.length > 0 ? names : [''];
+        }
+
+        _soundMenu () {
+            const target = this.runtime && this.runtime.getEditingTarget();
+            const names = target && target.sprite ? target.sprite.sounds.map(sound => sound.name) : [];
+            return names.length > 0 ? names : [''];
+        }
+
+        // decoded AudioBuffer of a sound in the current sprite, or null
+        _lookupSound (name, util) {
+            const target = (util && util.target) || (this.runtime && this.runtime.getEditingTarget());
+            if (!target || !target.sprite) return null;
+            const sounds = target.sprite.sounds;
+            let sound = sounds.find(s => s.name === String(name));
+            const index = Number(name);
+            if (!sound && Number.isInteger(index) && index >= 1 && index <= sounds.length) sound = sounds[index - 1];
+            const bank = target.sprite.soundBank;
+            const player = sound && bank && bank.soundPlayers[sound.soundId];
+            return (player && player.buffer) || null;
+        }
+
+        // { samples, rate } for START..START + LENGTH seconds of a sound, or null when there is no such sound
+        _readSound (name, start, length, util) {
+            const buffer = this._lookupSound(name, util);
+            if (!buffer) {
+                console.warn('FFT: sound not found:', name);
+                return null;
+            }
+            const rate = buffer.sampleRate;
+            const from = Math.min(buffer.length, Math.max(0, Math.round((Number(start) || 0) * rate)));
+            const seconds = Number(length) || 0;
+            const to = seconds > 0 ? Math.min(buffer.length, from + Math.round(seconds * rate)) : buffer.length;
+            const samples = new Array(to - from).fill(0);
+            for (let c = 0; c < buffer.numberOfChannels; c++) {
+                const data = buffer.getChannelData(c);
+                for (let i = from; i < to; i++) samples[i - from] += data[i] / buffer.numberOfChannels;
+            }
+            return { samples, rate };
+        }
+
+        // sprite-local list first, then the stage's global list of the same name
+        _lookupList (name, util) {
+            const target = (util && util.target) || (this.runtime && this.runtime.getTargetForStage());
+            if (!target) return null;
+            return target.lookupVariableByNameAndType(String(name), 'list') || null;
+        }
+
+        // list items as numbers (anything non-numeric counts as 0), or null when there is no such list
+        _readList (name, util) {
+            const list = this._lookupList(name, util);
+            if (!list) {
+                console.warn('FFT: list not found:', name);
+                return null;
+            }
+            return list.value.map(x => {
+                const n = Number(x);
+                return Number.isFinite(n) ? n : 0;
+            });
+        }
+
+        _writeList (name, util, values) {
+            const list = this._lookupList(name, util);
+            if (!list) {
+                console.warn('FFT: list not found:', name);
+                return;
+            }
+            list.value = values;
+            list._monitorUpToDate = false;
+        }
+    }
+
+    // Helper: compute next power of two >= n
+    function nextPowerOfTwo (n) {
+        if (n <= 1) return 1;
+        let p = 1;
+        while (p < n) p <<= 1;
+        return p;
+    }
+
+    // flatten as [re0, im0, re1, im1, ...]
+    function flatten (re, im) {
+        const out = new Array(re.length * 2);
+        for (let i = 0; i < re.length; i++) {
             out[2 * i] = re[i];
             out[2 * i + 1] = im[i];
         }
         return out;
     }
 
-    // Reporter: inverse FFT of a flattened complex list
-    ifft (args) {
-        const inList = args.LIST || [];
+    // recently used windows by "name:length"; callers only read them
+    const windowCache = new Map();
+
+    // Periodic (DFT-even) window of length n; unknown window names count as rectangular.
+    function windowCoefficients (name, n) {
+        const key = Object.keys(WINDOWS).find(k => k.toLowerCase() === String(name).trim().toLowerCase()) || 'rectangular';
+        const cacheKey = key + ':' + n;
+        let w = windowCache.get(cacheKey);
+        if (w) return w;
+        const coeffs = WINDOWS[key];
+        w = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            for (let k = 0; k < coeffs.length; k++) w[i] += (k % 2 ? -1 : 1) * coeffs[k] * Math.cos(2 * Math.PI * k * i / n);
+        }
+        if (windowCache.size >= MAX_PLANS) windowCache.delete(windowCache.keys().next().value);
+        windowCache.set(cacheKey, w);
+        return w;
+    }
+
+    // Multiplies the samples by a window the length of the input.
+    function applyWindow (input, name) {
+        const w = windowCoefficients(name, input.length);
+        return input.map((x, i) => x * w[i]);
+    }
+
+    function clampHop (value, size) {
+        return Math.max(1, Math.min(size, Math.round(Number(value) || size / 4)));
+    }
+
+    // Frames are centred on 0, hop, 2 hop, ... (the input gets size / 2 zeros on both sides), so every input
+    // sample lies under some window peak: ceil(length / hop) + 1 frames.
+    function stft (input, size, hop, windowName) {
+        const w = windowCoefficients(windowName, size);
+        const half = size >> 1;
+        const bins = half + 1;
+        const frames = Math.ceil(input.length / hop) + 1;
+        const data = new Array(frames * bins * 2);
+        const frame = new Float64Array(size);
+        for (let f = 0; f < frames; f++) {
+            const start = f * hop - half;
+            for (let i = 0; i < size; i++) {
+                const x = input[start + i];
+                frame[i] = x === undefined ? 0 : x * w[i];
+            }
+            const spectrum = realSpectrum(frame, size);
+            for (let k = 0; k < bins; k++) {
+                data[(f * bins + k) * 2] = spectrum.re[k];
+                data[(f * bins + k) * 2 + 1] = spectrum.im[k];
+            }
+        }
+        return { data: data, frames: frames, bins: bins };
+    }
+
+    // Weighted overlap-add: each frame is windowed again, and the sum is divided by the summed squared
+    // windows, which reconstructs the input exactly for any window whose overlaps never all vanish.
+    // Returns (frames - 1) * hop samples, the original length rounded up to a whole hop, or only the first
+    // `length` of them when length is given.
+    function istft (data, size, hop, windowName, length) {
+        const w = windowCoefficients(windowName, size);
+        const half = size >> 1;
+        const bins = half + 1;
+        const frames = Math.floor(data.length / (bins * 2));
+        if (frames === 0) return [];
+        const total = (frames - 1) * hop;
+        const out = new Float64Array(total);
+        const norm = new Float64Array(total);
+        const re = new Float64Array(size);
+        const im = new Float64Array(size);
+        for (let f = 0; f < frames; f++) {
+            // rebuild the mirrored half of a real signal's spectrum
+            for (let k = 0; k < bins; k++) {
+                re[k] = data[(f * bins + k) * 2];
+                im[k] = data[(f * bins + k) * 2 + 1];
+            }
+            for (let k = 1; size - k > k; k++) {
+                re[size - k] = re[k];
+                im[size - k] = -im[k];
+            }
+            fftAnyLength(re, im, true);
+            const start = f * hop - half;
+            for (let i = 0; i < size; i++) {
+                const n = start + i;
+                if (n < 0 || n >= total) continue;
+                out[n] += re[i] * w[i];
+                norm[n] += w[i] * w[i];
+            }
+        }
+        const result = new Array(length > 0 ? Math.min(length, total) : total);
+        for (let n = 0; n < result.length; n++) result[n] = norm[n] > 1e-10 ? out[n] / norm[n] : 0;
+        return result;
+    }
+
+    // half: keep only bins 0..N/2; pad: zero-pad to a power of two first
+    function fftOfReal (input, half, pad) {
+        const n = pad ? nextPowerOfTwo(input.length) : input.length;
+        if (n === 0) return [];
+        const spectrum = realSpectrum(input, n);
+        // the upper half of a real signal's spectrum mirrors the lower one
+        const bins = half ? (n >> 1) + 1 : n;
+        const out = new Array(bins * 2);
+        for (let k = 0; k < bins; k++) {
+            const mirrored = k > n >> 1;
+            out[2 * k] = spectrum.re[mirrored ? n - k : k];
+            out[2 * k + 1] = mirrored ? -spectrum.im[n - k] : spectrum.im[k];
+        }
+        return out;
+    }
+
+    function ifftOfComplex (inList, pad) {
         // interpret flattened pairs; if odd length, last imag = 0
         const pairs = Math.ceil(inList.length / 2);
-        const re = new Array(pairs).fill(0);
-        const im = new Array(pairs).fill(0);
+        const n = pad ? nextPowerOfTwo(pairs) : pairs;
+        // zero-padded past the given pairs
+        const re = new Float64Array(n);
+        const im = new Float64Array(n);
         for (let i = 0; i < pairs; i++) {
             re[i] = Number(inList[2 * i]) || 0;
             im[i] = Number(inList[2 * i + 1]) || 0;
         }
 
-        const n = nextPowerOfTwo(pairs);
-        // pad
-        while (re.length < n) { re.push(0); im.push(0); }
-
-        fftInternal(re, im, true);
-
-        // result are real parts (imag should be near 0). We'll return flattened complex for symmetry.
-        const out = new Array(n * 2);
-        for (let i = 0; i < n; i++) {
-            out[2 * i] = re[i];
-            out[2 * i + 1] = im[i];
-        }
-        return out;
+        fftAnyLength(re, im, true);
+        return flatten(re, im);
     }
 
-    // Reporter: magnitudes from flattened complex list
-    magnitude (args) {
-        const inList = args.LIST || [];
+    // magnitudes from flattened complex list
+    function magnitudes (inList) {
         const pairs = Math.floor(inList.length / 2);
         const mags = new Array(pairs);
         for (let i = 0; i < pairs; i++) {
@@ -131,77 +807,542 @@ class FFTExtension {
         return mags;
     }
 
-    // Reporter: next power of two >= N
-    nextPow2 (args) {
-        const n = Math.max(1, Math.floor(Number(args.N) || 0));
-        return nextPowerOfTwo(n);
-    }
-}
-
-// Helper: compute next power of two >= n
-function nextPowerOfTwo (n) {
-    if (n <= 1) return 1;
-    let p = 1;
-    while (p < n) p <<= 1;
-    return p;
-}
-
-// In-place iterative Cooley-Tukey FFT
-// re, im: arrays of length N=power-of-two
-// inverse: boolean; if true, computes inverse FFT and scales by 1/N
-function fftInternal (re, im, inverse) {
-    const n = re.length;
-    if (n === 0) return;
-    // bit-reverse reorder
-    let j = 0;
-    for (let i = 0; i < n; i++) {
-        if (i < j) {
-            const tr = re[i]; re[i] = re[j]; re[j] = tr;
-            const ti = im[i]; im[i] = im[j]; im[j] = ti;
-        }
-        let m = n >> 1;
-        while (m >= 1 && j >= m) {
-            j -= m;
-            m >>= 1;
-        }
-        j += m;
-    }
-
-    // Danielson-Lanczos
-    for (let len = 2; len <= n; len <<= 1) {
-        const ang = (2 * Math.PI / len) * (inverse ? -1 : 1);
-        const wlen_r = Math.cos(ang);
-        const wlen_i = Math.sin(ang);
-        for (let i = 0; i < n; i += len) {
-            let wr = 1;
-            let wi = 0;
-            for (let k = 0; k < (len >> 1); k++) {
-                const u_r = re[i + k];
-                const u_i = im[i + k];
-                const v_r = re[i + k + (len >> 1)] * wr - im[i + k + (len >> 1)] * wi;
-                const v_i = re[i + k + (len >> 1)] * wi + im[i + k + (len >> 1)] * wr;
-
-                re[i + k] = u_r + v_r;
-                im[i + k] = u_i + v_i;
-                re[i + k + (len >> 1)] = u_r - v_r;
-                im[i + k + (len >> 1)] = u_i - v_i;
-
-                // rotate wr, wi by wlen
-                const next_wr = wr * wlen_r - wi * wlen_i;
-                const next_wi = wr * wlen_i + wi * wlen_r;
-                wr = next_wr;
-                wi = next_wi;
-            }
-        }
-    }
-
-    if (inverse) {
-        // scale by 1/n
+    // Convolution through the frequency domain: multiply the spectra, transform back.
+    // Both inputs are zero-padded to n; returns the real part of the n-point circular convolution.
+    function spectralConvolve (a, b, n) {
+        const aRe = new Float64Array(n);
+        const aIm = new Float64Array(n);
+        const bRe = new Float64Array(n);
+        const bIm = new Float64Array(n);
+        aRe.set(a);
+        bRe.set(b);
+        fftAnyLength(aRe, aIm, false);
+        fftAnyLength(bRe, bIm, false);
         for (let i = 0; i < n; i++) {
-            re[i] /= n;
-            im[i] /= n;
+            const r = aRe[i] * bRe[i] - aIm[i] * bIm[i];
+            aIm[i] = aRe[i] * bIm[i] + aIm[i] * bRe[i];
+            aRe[i] = r;
+        }
+        fftAnyLength(aRe, aIm, true);
+        return aRe;
+    }
+
+    // Padding to at least A + B - 1 keeps the circular wrap-around out of the result; a power of two is fastest.
+    function convolveLinear (a, b) {
+        if (a.length === 0 || b.length === 0) return [];
+        const length = a.length + b.length - 1;
+        return Array.from(spectralConvolve(a, b, nextPowerOfTwo(length)).subarray(0, length));
+    }
+
+    function convolveCircular (a, b) {
+        const n = Math.max(a.length, b.length);
+        if (n === 0) return [];
+        return Array.from(spectralConvolve(a, b, n));
+    }
+
+    // correlation is convolution with A reversed
+    function crossCorrelation (a, b) {
+        return convolveLinear(a.slice().reverse(), b);
+    }
+
+    // Cross-correlation with each lag divided by sqrt(energy of A * energy of the part of B it overlaps),
+    // the B energies coming from a prefix sum of B squared; lags where that part of B is silent score 0.
+    function normalizedCrossCorrelation (a, b) {
+        const r = crossCorrelation(a, b);
+        const squares = new Float64Array(b.length + 1);
+        for (let i = 0; i < b.length; i++) squares[i + 1] = squares[i] + b[i] * b[i];
+        let energyA = 0;
+        for (let i = 0; i < a.length; i++) energyA += a[i] * a[i];
+        for (let i = 0; i < r.length; i++) {
+            const lag = i - (a.length - 1);
+            const from = Math.max(0, lag);
+            const to = Math.min(b.length, lag + a.length);
+            const energy = energyA * (squares[to] - squares[from]);
+            r[i] = energy > 1e-20 ? r[i] / Math.sqrt(energy) : 0;
         }
+        return r;
+    }
+
+    function autocorrelation (input) {
+        const n = input.length;
+        const r = crossCorrelation(input, input).slice(n - 1);
+        const energy = r[0];
+        return r.map(v => (energy > 0 ? v / energy : 0));
+    }
+
+    // 0 below edge - width / 2, 1 above edge + width / 2, a raised-cosine ramp in between
+    function smoothStep (f, edge, width) {
+        if (f <= edge - width / 2) return 0;
+        if (f >= edge + width / 2) return 1;
+        return 0.5 - 0.5 * Math.cos(Math.PI * (f - edge + width / 2) / width);
     }
-}
 
-module.exports = FFTExtension;
+    // { gain(f), resolution } for one of FILTER_TYPES, or null; resolution is the narrowest
+    // feature in Hz the FIR has to resolve
+    function filterResponse (type, freq, width) {
+        if (!(freq > 0)) return null;
+        const kind = String(type).toLowerCase();
+        if (kind === 'low-pass' || kind === 'high-pass') {
+            const transition = width > 0 ? width : freq / 4;
+            const high = kind === 'high-pass';
+            return { gain: f => (high ? smoothStep(f, freq, transition) : 1 - smoothStep(f, freq, transition)), resolution: transition };
+        }
+        if (kind === 'band-pass' || kind === 'notch') {
+            const band = width > 0 ? Math.min(width, 2 * freq) : freq / 2;
+            const low = freq - band / 2;
+            const high = freq + band / 2;
+            const pass = f => smoothStep(f, low, band / 2) * (1 - smoothStep(f, high, band / 2));
+            return { gain: kind === 'notch' ? f => 1 - pass(f) : pass, resolution: band / 2 };
+        }
+        return null;
+    }
+
+    // linear gain from dB interpolated over log frequency between sorted { freq, db } bands
+    function equalizerGain (bands, f) {
+        let db;
+        if (f <= bands[0].freq) {
+            db = bands[0].db;
+        } else if (f >= bands[bands.length - 1].freq) {
+            db = bands[bands.length - 1].db;
+        } else {
+            let i = 1;
+            while (bands[i].freq < f) i++;
+            const a = bands[i - 1];
+            const b = bands[i];
+            db = a.db + (b.db - a.db) * Math.log2(f / a.freq) / Math.log2(b.freq / a.freq);
+        }
+        return Math.pow(10, db / 20);
+    }
+
+    // Odd length with a frequency grid 8 times finer than the resolution, so the window's main lobe
+    // smooths the transitions without swallowing them.
+    function filterTaps (rate, resolution) {
+        const taps = Math.min(MAX_FILTER_TAPS, Math.max(3, Math.ceil(8 * rate / resolution)));
+        return taps % 2 ? taps : taps + 1;
+    }
+
+    // Linear-phase FIR by frequency sampling: gain(f) on a taps-point grid, inverse DFT to a symmetric
+    // impulse, centred and Blackman-windowed so the cut-off ends don't ring.
+    function designFir (gain, rate, taps) {
+        const re = new Float64Array(taps);
+        const im = new Float64Array(taps);
+        for (let k = 0; k < taps; k++) re[k] = gain(Math.min(k, taps - k) * rate / taps);
+        fftAnyLength(re, im, true);
+        const half = (taps - 1) / 2;
+        const h = new Float64Array(taps);
+        for (let i = 0; i < taps; i++) {
+            const w = 0.42 - 0.5 * Math.cos(2 * Math.PI * i / (taps - 1)) + 0.08 * Math.cos(4 * Math.PI * i / (taps - 1));
+            h[i] = re[(i - half + taps) % taps] * w;
+        }
+        return h;
+    }
+
+    // Overlap-add linear convolution with an odd-length FIR, one FFT block at a time; drops the
+    // (taps - 1) / 2 samples of delay and returns exactly input.length samples.
+    function overlapAdd (input, h) {
+        const n = input.length;
+        const taps = h.length;
+        if (n === 0) return [];
+        const size = nextPowerOfTwo(Math.max(2 * taps, 1024));
+        const block = size - taps + 1;
+        const hRe = new Float64Array(size);
+        const hIm = new Float64Array(size);
+        hRe.set(h);
+        fftInternal(hRe, hIm, false);
+
+        const out = new Float64Array(n + taps - 1);
+        const re = new Float64Array(size);
+        const im = new Float64Array(size);
+        for (let start = 0; start < n; start += block) {
+            const count = Math.min(block, n - start);
+            re.fill(0);
+            im.fill(0);
+            for (let i = 0; i < count; i++) re[i] = input[start + i];
+            fftInternal(re, im, false);
+            for (let k = 0; k < size; k++) {
+                const r = re[k] * hRe[k] - im[k] * hIm[k];
+                im[k] = re[k] * hIm[k] + im[k] * hRe[k];
+                re[k] = r;
+            }
+            fftInternal(re, im, true);
+            const end = Math.min(count + taps - 1, out.length - start);
+            for (let i = 0; i < end; i++) out[start + i] += re[i];
+        }
+        const delay = (taps - 1) / 2;
+        return Array.from(out.subarray(delay, delay + n));
+    }
+
+    // Hann-windowed magnitude spectrum, zero-padded to at least twice the input for finer bins
+    // and scaled so a sine of amplitude A peaks near A. Returns bins 0..size/2.
+    function peakSpectrum (input) {
+        const size = nextPowerOfTwo(2 * input.length);
+        const w = windowCoefficients('Hann', input.length);
+        const windowed = new Float64Array(input.length);
+        let gain = 0;
+        for (let i = 0; i < input.length; i++) {
+            windowed[i] = input[i] * w[i];
+            gain += w[i];
+        }
+        const { re, im } = realSpectrum(windowed, size);
+        const mags = new Float64Array((size >> 1) + 1);
+        for (let k = 0; k < mags.length; k++) mags[k] = gain > 0 ? 2 * Math.hypot(re[k], im[k]) / gain : 0;
+        return { mags, size };
+    }
+
+    // Local maxima above DC, strongest first. Position and height come from a parabola through
+    // the log magnitudes of the peak bin and its neighbours.
+    function spectralPeaks (input, rate, count) {
+        if (input.length < 2 || count <= 0) return [];
+        const { mags, size } = peakSpectrum(input);
+        const peaks = [];
+        for (let k = 1; k < mags.length - 1; k++) {
+            if (!(mags[k] > mags[k - 1] && mags[k] >= mags[k + 1])) continue;
+            const a = Math.log(mags[k - 1] + 1e-300);
+            const b = Math.log(mags[k]);
+            const c = Math.log(mags[k + 1] + 1e-300);
+            const denom = a - 2 * b + c;
+            const offset = denom < 0 ? 0.5 * (a - c) / denom : 0;
+            peaks.push({
+                frequency: (k + offset) * rate / size,
+                magnitude: Math.exp(b - 0.25 * (a - c) * offset)
+            });
+        }
+        peaks.sort((p, q) => q.magnitude - p.magnitude);
+        return peaks.slice(0, count);
+    }
+
+    // YIN (de Cheveigne & Kawahara): difference function over lags up to half the input, with the
+    // cross term r(tau) = sum x[j] x[j + tau] taken from an FFT cross-correlation.
+    // Confidence is 1 minus the normalized difference at the chosen lag.
+    function yinPitch (input, rate) {
+        const n = input.length;
+        const w = Math.floor(n / 2);
+        const none = { frequency: 0, confidence: 0 };
+        if (w < 3 || !(rate > 0)) return none;
+
+        const squares = new Float64Array(n + 1);
+        for (let i = 0; i < n; i++) squares[i + 1] = squares[i] + input[i] * input[i];
+        if (squares[n] === 0) return none;
+        // lag tau sits at index tau + w - 1
+        const corr = crossCorrelation(input.slice(0, w), input);
+
+        const cmnd = new Float64Array(w);
+        cmnd[0] = 1;
+        let running = 0;
+        for (let tau = 1; tau < w; tau++) {
+            const d = Math.max(0, squares[w] + squares[tau + w] - squares[tau] - 2 * corr[tau + w - 1]);
+            running += d;
+            cmnd[tau] = running > 0 ? d * tau / running : 1;
+        }
+
+        // first dip below the threshold, followed down to its minimum; otherwise the global minimum
+        let tau = -1;
+        for (let t = 2; t < w; t++) {
+            if (cmnd[t] < YIN_THRESHOLD) {
+                while (t + 1 < w && cmnd[t + 1] < cmnd[t]) t++;
+                tau = t;
+                break;
+            }
+        }
+        if (tau < 0) {
+            tau = 2;
+            for (let t = 3; t < w; t++) {
+                if (cmnd[t] < cmnd[tau]) tau = t;
+            }
+        }
+
+        let period = tau;
+        if (tau + 1 < w) {
+            const denom = cmnd[tau - 1] - 2 * cmnd[tau] + cmnd[tau + 1];
+            if (denom > 0) period += 0.5 * (cmnd[tau - 1] - cmnd[tau + 1]) / denom;
+        }
+        return { frequency: rate / period, confidence: Math.max(0, Math.min(1, 1 - cmnd[tau])) };
+    }
+
+    // A4 = 440 Hz = MIDI 69; NaN for frequencies that are not positive
+    function frequencyToMidi (freq) {
+        return freq > 0 ? 69 + 12 * Math.log2(freq / 440) : NaN;
+    }
+
+    // Same contract as fftInternal for any length N: exact N-point DFT in place, inverse scaled by 1/N.
+    function fftAnyLength (re, im, inverse) {
+        const n = re.length;
+        if (n <= 1) return;
+        if ((n & (n - 1)) === 0) {
+            fftInternal(re, im, inverse);
+            return;
+        }
+        const out = mixedRadix(Float64Array.from(re), Float64Array.from(im), inverse ? 1 : -1);
+        for (let i = 0; i < n; i++) {
+            re[i] = inverse ? out.re[i] / n : out.re[i];
+            im[i] = inverse ? out.im[i] / n : out.im[i];
+        }
+    }
+
+    // Prime factors up to this size are handled by mixed radix; larger ones by Bluestein.
+    const MAX_RADIX = 64;
+
+    function smallestFactor (n) {
+        if (n % 2 === 0) return 2;
+        for (let f = 3; f * f <= n; f += 2) {
+            if (n % f === 0) return f;
+        }
+        return n;
+    }
+
+    // Unscaled DFT with exponent sign (-1 forward, 1 inverse), returns { re, im }.
+    // Decimation in time on the smallest prime factor p: N = p * m splits into p interleaved m-point DFTs,
+    // which are combined with twiddles e^(sign i 2 pi r k / N).
+    function mixedRadix (re, im, sign) {
+        const n = re.length;
+        if ((n & (n - 1)) === 0) {
+            const outRe = Float64Array.from(re);
+            const outIm = Float64Array.from(im);
+            fftInternal(outRe, outIm, sign > 0);
+            if (sign > 0) {
+                for (let i = 0; i < n; i++) {
+                    outRe[i] *= n;
+                    outIm[i] *= n;
+                }
+            }
+            return { re: outRe, im: outIm };
+        }
+        const p = smallestFactor(n);
+        if (p > MAX_RADIX) return bluestein(re, im, sign);
+        if (p === n) return directDft(re, im, sign);
+
+        const m = n / p;
+        const subs = [];
+        for (let r = 0; r < p; r++) {
+            const subRe = new Float64Array(m);
+            const subIm = new Float64Array(m);
+            for (let j = 0; j < m; j++) {
+                subRe[j] = re[j * p + r];
+                subIm[j] = im[j * p + r];
+            }
+            subs.push(mixedRadix(subRe, subIm, sign));
+        }
+        const { cos, sin } = fftPlan(n);
+        const outRe = new Float64Array(n);
+        const outIm = new Float64Array(n);
+        for (let k = 0; k < n; k++) {
+            const km = k % m;
+            let sumRe = 0;
+            let sumIm = 0;
+            for (let r = 0; r < p; r++) {
+                const t = (r * k) % n;
+                const yr = subs[r].re[km];
+                const yi = subs[r].im[km];
+                const s = sign * sin[t];
+                sumRe += yr * cos[t] - yi * s;
+                sumIm += yr * s + yi * cos[t];
+            }
+            outRe[k] = sumRe;
+            outIm[k] = sumIm;
+        }
+        return { re: outRe, im: outIm };
+    }
+
+    // O(N^2) DFT for small prime lengths.
+    function directDft (re, im, sign) {
+        const n = re.length;
+        const { cos, sin } = fftPlan(n);
+        const outRe = new Float64Array(n);
+        const outIm = new Float64Array(n);
+        for (let k = 0; k < n; k++) {
+            for (let j = 0; j < n; j++) {
+                const t = (j * k) % n;
+                const s = sign * sin[t];
+                outRe[k] += re[j] * cos[t] - im[j] * s;
+                outIm[k] += re[j] * s + im[j] * cos[t];
+            }
+        }
+        return { re: outRe, im: outIm };
+    }
+
+    // Bluestein's algorithm: with the chirp w_k = e^(sign i pi k^2 / N), jk = (j^2 + k^2 - (k - j)^2) / 2 turns
+    // the DFT into w_k * sum_j (x_j w_j) conj(w_(k-j)), a convolution done with power-of-two FFTs.
+    function bluestein (re, im, sign) {
+        const n = re.length;
+        const { chirpRe, chirpIm, bRe, bIm } = bluesteinChirp(n, sign);
+        const size = bRe.length;
+        const aRe = new Float64Array(size);
+        const aIm = new Float64Array(size);
+        for (let j = 0; j < n; j++) {
+            aRe[j] = re[j] * chirpRe[j] - im[j] * chirpIm[j];
+            aIm[j] = re[j] * chirpIm[j] + im[j] * chirpRe[j];
+        }
+        fftInternal(aRe, aIm, false);
+        for (let i = 0; i < size; i++) {
+            const r = aRe[i] * bRe[i] - aIm[i] * bIm[i];
+            aIm[i] = aRe[i] * bIm[i] + aIm[i] * bRe[i];
+            aRe[i] = r;
+        }
+        fftInternal(aRe, aIm, true);
+        const outRe = new Float64Array(n);
+        const outIm = new Float64Array(n);
+        for (let k = 0; k < n; k++) {
+            outRe[k] = aRe[k] * chirpRe[k] - aIm[k] * chirpIm[k];
+            outIm[k] = aRe[k] * chirpIm[k] + aIm[k] * chirpRe[k];
+        }
+        return { re: outRe, im: outIm };
+    }
+
+    // The chirp for Bluestein and the transform of its zero-padded, wrapped conjugate, kept in the plan of
+    // size n for each sign.
+    function bluesteinChirp (n, sign) {
+        const plan = fftPlan(n);
+        let chirp = plan.chirps[sign];
+        if (chirp) return chirp;
+        const size = nextPowerOfTwo(2 * n - 1);
+        const chirpRe = new Float64Array(n);
+        const chirpIm = new Float64Array(n);
+        for (let k = 0; k < n; k++) {
+            // k^2 mod 2N keeps the angle small and exact for large k
+            const a = sign * Math.PI * ((k * k) % (2 * n)) / n;
+            chirpRe[k] = Math.cos(a);
+            chirpIm[k] = Math.sin(a);
+        }
+        const bRe = new Float64Array(size);
+        const bIm = new Float64Array(size);
+        bRe[0] = chirpRe[0];
+        bIm[0] = -chirpIm[0];
+        for (let j = 1; j < n; j++) {
+            bRe[j] = bRe[size - j] = chirpRe[j];
+            bIm[j] = bIm[size - j] = -chirpIm[j];
+        }
+        fftInternal(bRe, bIm, false);
+        chirp = { chirpRe: chirpRe, chirpIm: chirpIm, bRe: bRe, bIm: bIm };
+        plan.chirps[sign] = chirp;
+        return chirp;
+    }
+
+    // In-place iterative Cooley-Tukey FFT
+    // re, im: arrays of length N=power-of-two
+    // inverse: boolean; if true, computes inverse FFT and scales by 1/N
+    // Forward uses e^(-i 2 pi k n / N), the usual convention (same as numpy).
+    // Plans cached per size: cos / sin of 2 pi k / n, each computed directly rather than by rotating, for
+    // k < n / 2 plus the bit-reversal permutation when n is a power of two, and for the whole circle k < n
+    // otherwise (mixed radix and the direct DFT index all of it). Bluestein adds its chirps to the plan.
+    // Past MAX_PLANS the oldest goes.
+    const plans = new Map();
+
+    function fftPlan (n) {
+        let plan = plans.get(n);
+        if (plan) return plan;
+        const half = n >> 1;
+        const power = n > 0 && (n & (n - 1)) === 0;
+        const count = power ? half : n;
+        const cos = new Float64Array(count);
+        const sin = new Float64Array(count);
+        for (let k = 0; k < count; k++) {
+            cos[k] = Math.cos(2 * Math.PI * k / n);
+            sin[k] = Math.sin(2 * Math.PI * k / n);
+        }
+        let reverse = null;
+        if (power) {
+            reverse = new Uint32Array(n);
+            for (let i = 1; i < n; i++) reverse[i] = (reverse[i >> 1] >> 1) | (i & 1 ? half : 0);
+        }
+        plan = { cos: cos, sin: sin, reverse: reverse, chirps: {} };
+        if (plans.size >= MAX_PLANS) plans.delete(plans.keys().next().value);
+        plans.set(n, plan);
+        return plan;
+    }
+
+    // Spectrum of n real samples (zero-padded past the input), bins 0..n/2 as { re, im } Float64Arrays.
+    // For even n the samples are packed as n/2 complex values (even samples real, odd imaginary),
+    // transformed at half size and split back apart with the size-n twiddles.
+    function realSpectrum (input, n) {
+        const bins = (n >> 1) + 1;
+        const outRe = new Float64Array(bins);
+        const outIm = new Float64Array(bins);
+        const sample = i => (i < input.length ? input[i] : 0);
+        if (n % 2 || n < 4) {
+            const re = new Float64Array(n);
+            const im = new Float64Array(n);
+            for (let i = 0; i < n; i++) re[i] = sample(i);
+            fftAnyLength(re, im, false);
+            outRe.set(re.subarray(0, bins));
+            outIm.set(im.subarray(0, bins));
+            return { re: outRe, im: outIm };
+        }
+        const m = n >> 1;
+        const zr = new Float64Array(m);
+        const zi = new Float64Array(m);
+        for (let j = 0; j < m; j++) {
+            zr[j] = sample(2 * j);
+            zi[j] = sample(2 * j + 1);
+        }
+        fftAnyLength(zr, zi, false);
+        const { cos, sin } = fftPlan(n);
+        for (let k = 0; k <= m; k++) {
+            const a = k % m;
+            const b = (m - k) % m;
+            // even samples: (Z[k] + conj Z[m-k]) / 2; odd samples: (Z[k] - conj Z[m-k]) / 2i
+            const evenRe = (zr[a] + zr[b]) / 2;
+            const evenIm = (zi[a] - zi[b]) / 2;
+            const oddRe = (zi[a] + zi[b]) / 2;
+            const oddIm = (zr[b] - zr[a]) / 2;
+            const c = k < m ? cos[k] : -1;
+            const s = k < m ? sin[k] : 0;
+            // X[k] = even + e^(-2 pi i k / n) odd
+            outRe[k] = evenRe + c * oddRe + s * oddIm;
+            outIm[k] = evenIm + c * oddIm - s * oddRe;
+        }
+        return { re: outRe, im: outIm };
+    }
+
+    // In-place radix-2 FFT for power-of-two lengths (plain arrays or Float64Arrays), forward e^(-i),
+    // inverse scaled by 1/n.
+    function fftInternal (re, im, inverse) {
+        const n = re.length;
+        if (n <= 1) return;
+        const { cos, sin, reverse } = fftPlan(n);
+        for (let i = 0; i < n; i++) {
+            const j = reverse[i];
+            if (i < j) {
+                const tr = re[i]; re[i] = re[j]; re[j] = tr;
+                const ti = im[i]; im[i] = im[j]; im[j] = ti;
+            }
+        }
+
+        // Danielson-Lanczos, twiddle k of a len-point stage is entry k * n / len of the table
+        const sign = inverse ? 1 : -1;
+        for (let len = 2; len <= n; len <<= 1) {
+            const half = len >> 1;
+            const step = n / len;
+            for (let i = 0; i < n; i += len) {
+                for (let k = 0; k < half; k++) {
+                    const wr = cos[k * step];
+                    const wi = sign * sin[k * step];
+                    const p = i + k;
+                    const q = p + half;
+                    const vr = re[q] * wr - im[q] * wi;
+                    const vi = re[q] * wi + im[q] * wr;
+                    re[q] = re[p] - vr;
+                    im[q] = im[p] - vi;
+                    re[p] += vr;
+                    im[p] += vi;
+                }
+            }
+        }
+
+        if (inverse) {
+            // scale by 1/n
+            for (let i = 0; i < n; i++) {
+                re[i] /= n;
+                im[i] /= n;
+            }
+        }
+    }
+
+    if (Scratch && Scratch.extensions) {
+        Scratch.extensions.register(new FFTExtension(Scratch.vm && Scratch.vm.runtime));
+    }
+    if (typeof module !== 'undefined' && module.exports) {
+        // the class, plus the transforms for benchmark/fft.js
+        module.exports = FFTExtension;
+        Object.assign(module.exports, { fftInternal, fftAnyLength, realSpectrum, fftOfReal });
+    }
+})(typeof window !== 'undefined' ? window.Scratch : undefined);
@@ -0,0 +1,138 @@
+// Benchmark and accuracy check for the FFT core in FFT.js.
+// Usage: node benchmark/fft.js
+// Compares every transform against a direct O(N^2) DFT and times the transforms the blocks use.
+
+'use strict';
+
+const FFT = require('../FFT.js');
+
+// deterministic noise in [-1, 1)
+let seed = 12345;
+function random () {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 1073741823.5 - 1;
+}
+
+function randomArray (n) {
+    const out = new Float64Array(n);
+    for (let i = 0; i < n; i++) out[i] = random();
+    return out;
+}
+
+// Direct DFT; the angle index is reduced mod n so large k * j stays exact.
+function referenceDft (re, im) {
+    const n = re.length;
+    const cos = new Float64Array(n);
+    const sin = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+        cos[i] = Math.cos(2 * Math.PI * i / n);
+        sin[i] = Math.sin(2 * Math.PI * i / n);
+    }
+    const outRe = new Float64Array(n);
+    const outIm = new Float64Array(n);
+    for (let k = 0; k < n; k++) {
+        let sr = 0;
+        let si = 0;
+        for (let j = 0; j < n; j++) {
+            const t = (k * j) % n;
+            sr += re[j] * cos[t] + im[j] * sin[t];
+            si += im[j] * cos[t] - re[j] * sin[t];
+        }
+        outRe[k] = sr;
+        outIm[k] = si;
+    }
+    return { re: outRe, im: outIm };
+}
+
+// largest |a - b| over the first count bins, relative to the largest reference magnitude
+function maxError (a, b, count) {
+    let error = 0;
+    let scale = 0;
+    for (let k = 0; k < count; k++) {
+        error = Math.max(error, Math.hypot(a.re[k] - b.re[k], a.im[k] - b.im[k]));
+        scale = Math.max(scale, Math.hypot(b.re[k], b.im[k]));
+    }
+    return scale > 0 ? error / scale : error;
+}
+
+function checkAccuracy (n) {
+    const re = randomArray(n);
+    const im = randomArray(n);
+    const reference = referenceDft(re, im);
+
+    const complex = { re: Float64Array.from(re), im: Float64Array.from(im) };
+    FFT.fftAnyLength(complex.re, complex.im, false);
+
+    const real = FFT.realSpectrum(re, n);
+    const realReference = referenceDft(re, new Float64Array(n));
+
+    const back = { re: Float64Array.from(complex.re), im: Float64Array.from(complex.im) };
+    FFT.fftAnyLength(back.re, back.im, true);
+
+    return {
+        n: n,
+        complex: maxError(complex, reference, n),
+        real: maxError(real, realReference, (n >> 1) + 1),
+        roundTrip: maxError(back, { re: re, im: im }, n)
+    };
+}
+
+// runs fn for about a second, returns microseconds per call
+function time (fn) {
+    for (let i = 0; i < 20; i++) fn();
+    let calls = 0;
+    const start = process.hrtime.bigint();
+    let elapsed = 0;
+    while (elapsed < 1e9) {
+        for (let i = 0; i < 50; i++) fn();
+        calls += 50;
+        elapsed = Number(process.hrtime.bigint() - start);
+    }
+    return elapsed / calls / 1000;
+}
+
+const ACCURACY_SIZES = [8, 64, 1024, 2048, 4096, 12, 100, 97, 1000, 4099];
+// errors above this mean something is wrong, not just rounding
+const TOLERANCE = 1e-12;
+
+console.log('accuracy vs direct DFT (max error / max magnitude)');
+console.log('      N   complex      real         inverse');
+let failed = false;
+for (const n of ACCURACY_SIZES) {
+    const result = checkAccuracy(n);
+    const worst = Math.max(result.complex, result.real, result.roundTrip);
+    if (!(worst < TOLERANCE)) failed = true;
+    console.log(
+        String(n).padStart(7),
+        result.complex.toExponential(2).padStart(10),
+        result.real.toExponential(2).padStart(10),
+        result.roundTrip.toExponential(2).padStart(14),
+        worst < TOLERANCE ? '' : '  FAIL'
+    );
+}
+
+console.log('\ntiming (microseconds per call)');
+for (const n of [256, 1000, 1024, 2048, 4096, 4099, 44100]) {
+    const samples = Array.from(randomArray(n));
+    const re = new Float64Array(n);
+    const im = new Float64Array(n);
+    const complex = time(() => {
+        re.set(samples);
+        im.fill(0);
+        FFT.fftAnyLength(re, im, false);
+    });
+    const real = time(() => FFT.realSpectrum(samples, n));
+    // the "real FFT" block's path, list in and flattened list out
+    const block = time(() => FFT.fftOfReal(samples, true, false));
+    console.log(
+        `  N=${n}`.padEnd(10),
+        `complex ${complex.toFixed(1)}`.padEnd(18),
+        `real ${real.toFixed(1)}`.padEnd(15),
+        `real FFT block ${block.toFixed(1)}`
+    );
+}
+
+if (failed) {
+    console.log(`\nerror above ${TOLERANCE}`);
+    process.exitCode = 1;
+}
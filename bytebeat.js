@@ -3,9 +3,27 @@
 // Features:
 // - AudioWorklet preferred; silently falls back to ScriptProcessor when unavailable
 // - Live formula updates, logical sample rate, buffer size preference, and linear volume (0..1)
-// - Recording to WAV
-// - Error-fallback formula: t*(t^t+(t>>15|1)^(t-1280^t)>>10)
-// - Single "set [PROPERTY] to [VALUE]" block (Volume / Sample rate / Buffer size)
+// - Recording to a WAV download or straight into the sprite's sounds; 8-bit, 16-bit or 32-bit float WAV,
+//   at the output rate or the main voice's logical rate; recordings fill preallocated blocks up to a length limit,
+//   then stop or keep only the latest part
+// - Errors never pop up dialogs: "when bytebeat error" hat, "last bytebeat error" reporter, and a choice between
+//   the error-fallback formula t*(t^t+(t>>15|1)^(t-1280^t)>>10), silence or the previous formula
+// - Single "set [PROPERTY] to [VALUE]" block (Volume / Sample rate / Buffer size / Mode / Crossfade / Tempo ...)
+// - Output modes: Bytebeat (unsigned 8-bit), Signed bytebeat (signed 8-bit), Floatbeat (-1..1)
+// - Stereo: a formula returning [left, right] plays (and records) in stereo; plain values stay mono
+// - Offline render of a formula to a WAV download or a Scratch list, without an AudioContext
+// - Formulas are parsed into a whitelisted expression language before compiling; no arbitrary JavaScript runs
+// - Named voices, each with its own formula, volume, sample rate, pan and mode, mixed under a master volume
+// - Transport: pause / resume keep t, seek by t or seconds, current t and elapsed seconds reporters
+// - Hold / linear / cubic interpolation between whole t, and an output chain of DC removal, high-pass and low-pass
+//   filters, bitcrusher and soft clipping
+// - Voice settings, "set [PROPERTY]" values and named formula presets are saved with the project
+// - Share links: play a dollchan bytebeat composer link (#v3b64...) and report one for the current formula
+// - Formula changes can crossfade, and can be scheduled at t = T or on the next beat boundary, to the exact sample
+// - Live formula parameters (names given a value by "set formula parameter", e.g. a, b, mouseX), with optional smoothing
+// - Waveform / spectrum into lists and a loudness reporter, read from an AnalyserNode after the engine
+// - Both engines wrap one BytebeatCore, which also loads in Node (require('./bytebeat.js')) for headless use
+//   (node test/bytebeat.js checks both engines' output sample for sample)
 // Paste this file into TurboWarp → Extensions → Create → add code, or save as "yoog.js" and point TurboWarp to it.
 
 (function (Scratch) {
@@ -15,114 +33,846 @@
     // Config
     // ------------------------
     const ERROR_FALLBACK_FORMULA = 't*(t^t+(t>>15|1)^(t-1280^t)>>10)';
-    const workletSource = `
-    const ERROR_FALLBACK = "${ERROR_FALLBACK_FORMULA}";
+    const DEFAULT_FORMULA = '(t*(t>>5|t>>8))>>(t>>16)';
+    // voice driven by the original single-formula blocks
+    const MAIN_VOICE = 'main';
+    // "when a formula fails" menu labels -> engine policy names
+    const ERROR_POLICIES = { 'play fallback': 'fallback', 'go silent': 'silent', 'keep previous formula': 'previous' };
+    const MODES = ['Bytebeat', 'Signed bytebeat', 'Floatbeat'];
+    const INTERPOLATIONS = ['hold', 'linear', 'cubic'];
+    // setProperty names of the output effects (lower case, without spaces / dashes) -> [engine name, min, max];
+    // the minimum turns an effect off
+    const EFFECT_PROPERTIES = {
+        lowpass: ['lowpass', 0, 24000],
+        highpass: ['highpass', 0, 24000],
+        bitdepth: ['bits', 0, 24],
+        downsample: ['downsample', 1, 64],
+        dcremoval: ['dcRemoval', 0, 1],
+        softclip: ['softClip', 0, 10]
+    };
+    // Offline renders are capped in frames, not seconds, so a high rate can't allocate gigabytes:
+    // about 90 s at 44.1 kHz for a WAV, and fewer for a Scratch list, where every sample is a JS value.
+    const RENDER_MAX_FRAMES = 4000000;
+    const RENDER_LIST_MAX_FRAMES = 1000000;
+    // "set [PROPERTY]" values saved with the project (besides the effects in EFFECT_PROPERTIES) and their
+    // defaults, which a project without saved state goes back to
+    const SAVED_PROPERTIES = { 'Volume': 1, 'Buffer size': 4096, 'Parameter smoothing': 0, 'Crossfade': 0, 'Tempo': 120, 'Interpolation': 'hold' };
 
-    class BytebeatProcessor extends AudioWorkletProcessor {
-        static get parameterDescriptors() {
-            return [
-                { name: 'volume', defaultValue: 1, minValue: 0, maxValue: 4 },
-                { name: 'logicalS', defaultValue: 8000, minValue: 100, maxValue: 192000 }
-            ];
+    // Accepts a mode name (case-insensitive, "signed" / "float" shorthands) or its index in MODES.
+    function normalizeMode(value) {
+        const text = String(value).trim().toLowerCase();
+        if (/^\d+$/.test(text)) return MODES[Math.min(MODES.length - 1, Number(text))];
+        if (text.indexOf('float') !== -1) return 'Floatbeat';
+        if (text.indexOf('signed') !== -1) return 'Signed bytebeat';
+        if (text.indexOf('byte') !== -1) return 'Bytebeat';
+        return null;
+    }
+
+    // Converts the raw value returned by a formula into a -1..1 output sample.
+    // Shared with the worklet through workletSource, so it must stay self-contained.
+    function bytebeatSample(raw, mode) {
+        if (mode === 'Floatbeat') {
+            const f = Number(raw);
+            if (f !== f) return 0;
+            return f < -1 ? -1 : (f > 1 ? 1 : f);
         }
-        constructor() {
-            super();
-            this.t = 0.0;
-            this.compiled = null;
+        if (mode === 'Signed bytebeat') return (((raw | 0) << 24) >> 24) / 128;
+        return ((raw | 0) & 255) / 128 - 1;
+    }
+
+    // Parses the bytebeat expression language and generates JavaScript from the syntax tree, so only
+    // whitelisted constructs can ever reach new Function(): numbers, the formula variables, Math.* calls
+    // and constants (also without the "Math." prefix), array literals and indexing, unary / binary
+    // arithmetic, bitwise, comparison and logical operators and the ternary operator.
+    // Any other name is a live parameter when resolveParam(name) returns its slot (>= 0): it becomes P[slot].
+    // Names resolveParam doesn't know (-1) are errors like any other unknown name.
+    // Errors carry a 1-based `position` into the formula text.
+    // Shared with the worklet through workletSource, so it must stay self-contained.
+    function parseFormula(formulaText, variables, resolveParam) {
+        const MATH_FUNCTIONS = ['abs', 'acos', 'acosh', 'asin', 'asinh', 'atan', 'atan2', 'atanh', 'cbrt', 'ceil', 'clz32',
+            'cos', 'cosh', 'exp', 'expm1', 'floor', 'fround', 'hypot', 'imul', 'log', 'log10', 'log1p', 'log2', 'max', 'min',
+            'pow', 'random', 'round', 'sign', 'sin', 'sinh', 'sqrt', 'tan', 'tanh', 'trunc'];
+        const MATH_CONSTANTS = ['E', 'LN10', 'LN2', 'LOG10E', 'LOG2E', 'PI', 'SQRT1_2', 'SQRT2'];
+        const BINARY_PRECEDENCE = {
+            '||': 1, '&&': 2, '|': 3, '^': 4, '&': 5,
+            '==': 6, '!=': 6, '===': 6, '!==': 6,
+            '<': 7, '>': 7, '<=': 7, '>=': 7,
+            '<<': 8, '>>': 8, '>>>': 8,
+            '+': 9, '-': 9,
+            '*': 10, '/': 10, '%': 10,
+            '**': 11
+        };
+        const PUNCTUATORS = ['>>>', '===', '!==', '**', '<<', '>>', '<=', '>=', '==', '!=', '&&', '||',
+            '+', '-', '*', '/', '%', '&', '|', '^', '~', '!', '<', '>', '?', ':', '(', ')', '[', ']', ',', '.'];
+        const MAX_LENGTH = 2000;
+        const MAX_DEPTH = 200;
+
+        const text = String(formulaText);
+        const fail = (message, index) => {
+            const err = new Error(message + ' at position ' + (index + 1));
+            err.position = index + 1;
+            return err;
+        };
+        if (text.length > MAX_LENGTH) throw fail('Formula too long (max ' + MAX_LENGTH + ' characters)', MAX_LENGTH);
+
+        // tokens: { type: 'num' | 'name' | 'op' | 'end', value, pos }
+        const tokens = [];
+        let i = 0;
+        while (i < text.length) {
+            const c = text[i];
+            if (/\s/.test(c)) { i++; continue; }
+            const rest = text.slice(i);
+            const num = /^(0[xX][0-9a-fA-F]+|0[bB][01]+|0[oO][0-7]+|(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?)/.exec(rest);
+            if (num) {
+                if (/^[A-Za-z_$\d]/.test(text.slice(i + num[0].length))) throw fail('Malformed number', i);
+                tokens.push({ type: 'num', value: Number(num[0]), pos: i });
+                i += num[0].length;
+                continue;
+            }
+            const name = /^[A-Za-z_$][\w$]*/.exec(rest);
+            if (name) {
+                tokens.push({ type: 'name', value: name[0], pos: i });
+                i += name[0].length;
+                continue;
+            }
+            const op = PUNCTUATORS.find(p => rest.startsWith(p));
+            if (!op) throw fail('Unexpected character "' + c + '"', i);
+            tokens.push({ type: 'op', value: op, pos: i });
+            i += op.length;
+        }
+        tokens.push({ type: 'end', value: 'end of formula', pos: text.length });
+
+        let index = 0;
+        let depth = 0;
+        const peek = () => tokens[index];
+        const isOp = (value) => peek().type === 'op' && peek().value === value;
+        const expect = (value) => {
+            if (!isOp(value)) throw fail('Expected "' + value + '" but found "' + peek().value + '"', peek().pos);
+            index++;
+        };
+        const enter = (pos) => {
+            if (++depth > MAX_DEPTH) throw fail('Formula nested too deeply', pos);
+        };
+
+        function parseExpression() {
+            enter(peek().pos);
+            const test = parseBinary(1);
+            let code = test;
+            if (isOp('?')) {
+                index++;
+                const consequent = parseExpression();
+                expect(':');
+                const alternate = parseExpression();
+                code = '((' + test + ')?(' + consequent + '):(' + alternate + '))';
+            }
+            depth--;
+            return code;
+        }
+
+        // precedence climbing; ** is right-associative, everything else left-associative
+        function parseBinary(minPrecedence) {
+            let left = parseUnary();
+            for (;;) {
+                const token = peek();
+                const precedence = token.type === 'op' ? BINARY_PRECEDENCE[token.value] : undefined;
+                if (precedence === undefined || precedence < minPrecedence) return left;
+                index++;
+                const right = parseBinary(token.value === '**' ? precedence : precedence + 1);
+                left = '((' + left + ')' + token.value + '(' + right + '))';
+            }
+        }
+
+        function parseUnary() {
+            const token = peek();
+            if (token.type === 'op' && (token.value === '-' || token.value === '+' || token.value === '~' || token.value === '!')) {
+                index++;
+                enter(token.pos);
+                const operand = parseUnary();
+                depth--;
+                return '(' + token.value + '(' + operand + '))';
+            }
+            return parsePostfix();
+        }
+
+        function parsePostfix() {
+            let code = parsePrimary();
+            while (isOp('[')) {
+                index++;
+                const subscript = parseExpression();
+                expect(']');
+                // the index is forced to an integer so no computed property name (e.g. "constructor") can be built
+                code = '((' + code + ')[(' + subscript + ')|0])';
+            }
+            if (isOp('(')) throw fail('Only Math functions can be called', peek().pos);
+            return code;
+        }
+
+        function parseArguments() {
+            const args = [];
+            expect('(');
+            if (!isOp(')')) {
+                args.push(parseExpression());
+                while (isOp(',')) {
+                    index++;
+                    args.push(parseExpression());
+                }
+            }
+            expect(')');
+            return args;
+        }
+
+        function parseMathMember(name, pos) {
+            if (MATH_CONSTANTS.indexOf(name) !== -1) return 'Math.' + name;
+            if (MATH_FUNCTIONS.indexOf(name) === -1) throw fail('Unknown Math member "' + name + '"', pos);
+            if (!isOp('(')) throw fail('Math.' + name + ' must be called', peek().pos);
+            return 'Math.' + name + '(' + parseArguments().join(',') + ')';
+        }
+
+        function parsePrimary() {
+            const token = peek();
+            if (token.type === 'num') {
+                index++;
+                return '(' + String(token.value) + ')';
+            }
+            if (token.type === 'name') {
+                index++;
+                if (variables.indexOf(token.value) !== -1) return token.value;
+                if (token.value === 'Math') {
+                    expect('.');
+                    const member = peek();
+                    if (member.type !== 'name') throw fail('Expected a Math member name', member.pos);
+                    index++;
+                    return parseMathMember(member.value, member.pos);
+                }
+                if (MATH_FUNCTIONS.indexOf(token.value) !== -1 || MATH_CONSTANTS.indexOf(token.value) !== -1) {
+                    return parseMathMember(token.value, token.pos);
+                }
+                const slot = resolveParam ? resolveParam(token.value) : -1;
+                if (slot >= 0) return 'P[' + slot + ']';
+                throw fail('Unknown name "' + token.value + '"', token.pos);
+            }
+            if (isOp('(')) {
+                index++;
+                const inner = parseExpression();
+                expect(')');
+                return '(' + inner + ')';
+            }
+            if (isOp('[')) {
+                index++;
+                const items = [];
+                if (!isOp(']')) {
+                    items.push(parseExpression());
+                    while (isOp(',')) {
+                        index++;
+                        items.push(parseExpression());
+                    }
+                }
+                expect(']');
+                return '[' + items.join(',') + ']';
+            }
+            throw fail('Unexpected "' + token.value + '"', token.pos);
+        }
+
+        if (peek().type === 'end') throw fail('Empty formula', 0);
+        const code = parseExpression();
+        if (peek().type !== 'end') throw fail('Unexpected "' + peek().value + '"', peek().pos);
+        return code;
+    }
+
+    // True when name can be used as a live parameter, i.e. it is an identifier that isn't t, s, T or a Math name.
+    function isParamName(name) {
+        try {
+            return /^P\[\d+\]$/.test(parseFormula(name, ['t', 's', 'T'], () => 0));
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Compiles a formula to f(t, s, T, P), P being the parameter values (see createParams).
+    // Throws (with a position) for anything outside the expression language.
+    function compileFormula(formulaText, resolveParam) {
+        const variables = ['t', 's', 'T'];
+        return new Function(...variables, 'P', 'return ' + parseFormula(formulaText, variables, resolveParam) + ';');
+    }
+
+    // Live parameter table: names[i] is read by formulas as P[i]. values glide towards targets by
+    // `coeff` per frame (1 = jump straight to the target, i.e. no smoothing).
+    function createParams() {
+        const MAX_PARAMS = 64;
+        return { names: [], values: new Float64Array(MAX_PARAMS), targets: new Float64Array(MAX_PARAMS), coeff: 1 };
+    }
+
+    function paramSlot(params, name) {
+        let slot = params.names.indexOf(name);
+        if (slot === -1) {
+            if (params.names.length >= params.values.length) throw new Error('Too many formula parameters (max ' + params.values.length + ')');
+            slot = params.names.push(name) - 1;
+        }
+        return slot;
+    }
+
+    // Applies setParam / setParamSmoothing messages; sr is the engine's output rate.
+    function applyParamMessage(params, msg, sr) {
+        if (msg.type === 'setParamSmoothing') {
+            const seconds = Math.max(0, Number(msg.ms) || 0) / 1000;
+            // one-pole glide reaching ~63% of a change after `seconds`
+            params.coeff = seconds > 0 ? 1 - Math.exp(-1 / (seconds * sr)) : 1;
+            return;
+        }
+        const isNew = params.names.indexOf(msg.name) === -1;
+        const slot = paramSlot(params, msg.name);
+        params.targets[slot] = Number(msg.value) || 0;
+        // a parameter nobody set before starts at its value instead of gliding up from 0
+        if (isNew) params.values[slot] = params.targets[slot];
+    }
+
+    function smoothParams(params) {
+        const values = params.values;
+        const targets = params.targets;
+        const coeff = params.coeff;
+        for (let i = 0; i < params.names.length; i++) {
+            if (values[i] !== targets[i]) values[i] = coeff === 1 ? targets[i] : values[i] + (targets[i] - values[i]) * coeff;
+        }
+    }
+
+    // Evaluates one output frame at (fractional) time t and writes the scaled [left, right] pair into frame.
+    // Whatever the formula throws is passed on; each caller decides how to recover.
+    function bytebeatFrame(compiled, t, s, mode, vol, frame, paramValues) {
+        const raw = compiled(Math.floor(t), s, t / s, paramValues);
+        if (Array.isArray(raw)) {
+            frame[0] = bytebeatSample(raw[0], mode) * vol;
+            frame[1] = raw.length > 1 ? bytebeatSample(raw[1], mode) * vol : frame[0];
+        } else {
+            frame[0] = frame[1] = bytebeatSample(raw, mode) * vol;
+        }
+    }
+
+    // -------------------------
+    // Output effects, applied to the mixed frame after the master volume, in this order:
+    // DC removal, high-pass, low-pass, bitcrusher (downsample, then bit depth), soft clip.
+    // -------------------------
+    function createEffects() {
+        return {
+            dcRemoval: false,
+            // one-pole DC blocker, about 10 Hz; state is [x1 L, y1 L, x1 R, y1 R]
+            dcCoeff: 0.999,
+            dcState: new Float64Array(4),
+            highpass: null,
+            lowpass: null,
+            bits: 0,
+            downsample: 1,
+            holdLeft: 0,
+            held: [0, 0],
+            softClip: 0
+        };
+    }
+
+    // RBJ cookbook 12 dB/octave filter (Q = 1/sqrt 2), or null when the cutoff turns it off.
+    function createBiquad(type, freq, sr) {
+        if (!(freq > 0) || freq >= sr / 2) return null;
+        const w = 2 * Math.PI * freq / sr;
+        const cos = Math.cos(w);
+        const alpha = Math.sin(w) * Math.SQRT1_2;
+        const a0 = 1 + alpha;
+        const b1 = type === 'lowpass' ? 1 - cos : -(1 + cos);
+        return {
+            b0: Math.abs(b1) / 2 / a0,
+            b1: b1 / a0,
+            b2: Math.abs(b1) / 2 / a0,
+            a1: -2 * cos / a0,
+            a2: (1 - alpha) / a0,
+            // transposed direct form II state: [z1 L, z2 L, z1 R, z2 R]
+            z: new Float64Array(4)
+        };
+    }
+
+    function runBiquad(f, x, c) {
+        const z = f.z;
+        const y = f.b0 * x + z[c];
+        z[c] = f.b1 * x - f.a1 * y + z[c + 1];
+        z[c + 1] = f.b2 * x - f.a2 * y;
+        return y;
+    }
+
+    // Applies a setEffect message { name, value }.
+    function applyEffectMessage(fx, msg, sr) {
+        const value = Number(msg.value) || 0;
+        if (msg.name === 'lowpass' || msg.name === 'highpass') fx[msg.name] = createBiquad(msg.name, value, sr);
+        else if (msg.name === 'dcRemoval') {
+            fx.dcRemoval = value > 0;
+            fx.dcCoeff = 1 - 2 * Math.PI * 10 / sr;
+            fx.dcState.fill(0);
+        }
+        else if (msg.name === 'bits') fx.bits = Math.max(0, Math.min(24, Math.round(value)));
+        else if (msg.name === 'downsample') fx.downsample = Math.max(1, Math.min(64, Math.round(value)));
+        else if (msg.name === 'softClip') fx.softClip = Math.max(0, value);
+    }
+
+    function processEffects(fx, frame) {
+        for (let c = 0; c < 2; c++) {
+            let x = frame[c];
+            if (fx.dcRemoval) {
+                const s = fx.dcState;
+                const y = x - s[2 * c] + fx.dcCoeff * s[2 * c + 1];
+                s[2 * c] = x;
+                s[2 * c + 1] = y;
+                x = y;
+            }
+            if (fx.highpass) x = runBiquad(fx.highpass, x, 2 * c);
+            if (fx.lowpass) x = runBiquad(fx.lowpass, x, 2 * c);
+            frame[c] = x;
+        }
+        if (fx.downsample > 1) {
+            if (fx.holdLeft <= 0) {
+                fx.held[0] = frame[0];
+                fx.held[1] = frame[1];
+                fx.holdLeft = fx.downsample;
+            }
+            fx.holdLeft--;
+            frame[0] = fx.held[0];
+            frame[1] = fx.held[1];
+        }
+        if (fx.bits > 0) {
+            const steps = Math.pow(2, fx.bits - 1);
+            frame[0] = Math.round(frame[0] * steps) / steps;
+            frame[1] = Math.round(frame[1] * steps) / steps;
+        }
+        if (fx.softClip > 0) {
+            frame[0] = Math.tanh(frame[0] * fx.softClip);
+            frame[1] = Math.tanh(frame[1] * fx.softClip);
+        }
+    }
+
+    // -------------------------
+    // Engine-side voices, shared by the worklet (through workletSource) and the ScriptProcessor fallback.
+    // A voice is { name, formula, compiled, previousCompiled, formulaFailed, mode, rate, volume, pan, t }, plus its crossfade
+    // (fadeFrom, fadeLength, fadeLeft) and interpolation caches (points for its formula, fadePoints for fadeFrom);
+    // engines keep them in a plain array.
+    // -------------------------
+    function findVoice(voices, name) {
+        for (let i = 0; i < voices.length; i++) {
+            if (voices[i].name === name) return voices[i];
+        }
+        return null;
+    }
+
+    // Decides what a voice plays after its formula failed, following the error policy:
+    // 'fallback' plays ERROR_FALLBACK_FORMULA, 'silent' mutes the voice, 'previous' keeps the formula that
+    // was playing (after a compile error) or goes back to the one before the failing one (after a runtime error).
+    function recoverVoice(voice, policy, runtimeError) {
+        if (policy === 'silent') {
+            voice.compiled = null;
+        } else if (policy === 'previous') {
+            if (runtimeError) {
+                voice.compiled = voice.previousCompiled;
+                voice.previousCompiled = null;
+            }
+        } else {
+            voice.compiled = compileFormula(ERROR_FALLBACK_FORMULA);
+        }
+    }
+
+    // Compiles formulaText into the voice. On failure the voice recovers according to the error policy
+    // and the error is returned so the engine can report it; returns null on success.
+    function loadVoiceFormula(voice, formulaText, params, policy) {
+        voice.formula = formulaText;
+        try {
+            // only parameters already set resolve; every other name stays an "Unknown name" error
+            const compiled = compileFormula(formulaText, name => params.names.indexOf(name));
+            // quick smoke test
+            compiled(0, voice.rate, 0, params.values);
+            voice.previousCompiled = voice.compiled;
+            voice.compiled = compiled;
+            voice.formulaFailed = false;
+            return null;
+        } catch (err) {
+            voice.formulaFailed = true;
+            recoverVoice(voice, policy, false);
+            return err;
+        }
+    }
+
+    // Applies a setVoice / removeVoice message. Returns the compile error for a rejected formula, else null.
+    function applyVoiceMessage(voices, msg, params, policy) {
+        if (msg.type === 'removeVoice') {
+            const voice = findVoice(voices, msg.voice);
+            if (voice) voices.splice(voices.indexOf(voice), 1);
+            return null;
+        }
+        let voice = findVoice(voices, msg.voice);
+        if (!voice) {
+            voice = {
+                name: msg.voice, formula: '', compiled: null, previousCompiled: null, formulaFailed: false, mode: 'Bytebeat', rate: 8000, volume: 1, pan: 0, t: 0,
+                fadeFrom: null, fadeLength: 0, fadeLeft: 0,
+                points: createPoints(), fadePoints: createPoints()
+            };
+            voices.push(voice);
+        }
+        if (msg.mode !== undefined) voice.mode = msg.mode;
+        if (msg.rate !== undefined) voice.rate = Math.max(1, Number(msg.rate) || 8000);
+        if (msg.volume !== undefined) voice.volume = Number(msg.volume) || 0;
+        if (msg.pan !== undefined) voice.pan = Math.max(-1, Math.min(1, Number(msg.pan) || 0));
+        if (msg.formula !== undefined && msg.formula !== voice.formula) return loadVoiceFormula(voice, msg.formula, params, policy);
+        return null;
+    }
+
+    // Moves every voice to the same point in time; t becomes seconds * the voice's own rate.
+    function seekVoices(voices, seconds) {
+        for (let v = 0; v < voices.length; v++) voices[v].t = seconds * voices[v].rate;
+    }
+
+    // Snapshot posted back to the extension so Scratch can read the playback position.
+    function transportPosition(voices, time) {
+        const position = { type: 'position', time: time, voices: {} };
+        for (let v = 0; v < voices.length; v++) position.voices[voices[v].name] = voices[v].t;
+        return position;
+    }
+
+    // Blends from the formula a voice was playing (from) into its current one over the next `frames` frames.
+    function startCrossfade(voice, from, frames) {
+        if (!voice || !from || from === voice.compiled || frames < 1) return;
+        voice.fadeFrom = from;
+        voice.fadeLength = frames;
+        voice.fadeLeft = frames;
+    }
+
+    // Interpolation cache: unscaled [L, R] pairs of `compiled` in `mode` at t = base - 1 .. base + 2.
+    function createPoints() {
+        return { values: new Float64Array(8), base: 0, compiled: null, mode: '' };
+    }
+
+    // Evaluates compiled (the voice's formula, or the one it is fading out of) at the voice's current t into
+    // frame. 'hold' steps like a classic bytebeat player; 'linear' and 'cubic' (Catmull-Rom) interpolate
+    // between the samples at whole t, kept in cache (see createPoints).
+    function voiceFrame(voice, compiled, cache, interpolation, frame, paramValues) {
+        if (interpolation !== 'linear' && interpolation !== 'cubic') {
+            bytebeatFrame(compiled, voice.t, voice.rate, voice.mode, voice.volume, frame, paramValues);
+            return;
+        }
+        const base = Math.floor(voice.t);
+        const p = cache.values;
+        const shift = base - cache.base;
+        // points still usable after moving on by `shift` whole steps
+        const keep = cache.compiled === compiled && cache.mode === voice.mode && shift >= 0 && shift < 4 ? 4 - shift : 0;
+        if (keep < 4) {
+            p.copyWithin(0, 8 - 2 * keep);
+            for (let k = keep; k < 4; k++) {
+                bytebeatFrame(compiled, Math.max(0, base - 1 + k), voice.rate, voice.mode, 1, frame, paramValues);
+                p[2 * k] = frame[0];
+                p[2 * k + 1] = frame[1];
+            }
+        }
+        cache.base = base;
+        cache.compiled = compiled;
+        cache.mode = voice.mode;
+        const x = voice.t - base;
+        for (let c = 0; c < 2; c++) {
+            const p0 = p[c];
+            const p1 = p[2 + c];
+            const p2 = p[4 + c];
+            const p3 = p[6 + c];
+            frame[c] = voice.volume * (interpolation === 'linear'
+                ? p1 + (p2 - p1) * x
+                : p1 + 0.5 * x * (p2 - p0 + x * (2 * p0 - 5 * p1 + 4 * p2 - p3 + x * (3 * (p1 - p2) + p3 - p0))));
+        }
+    }
+
+    // Mixes the next frame of every voice into mix and advances each voice's t by its own rate.
+    // A voice whose formula throws is passed to onError(voice, err) and is silent for that frame.
+    // During a crossfade the outgoing formula fades out linearly while the new one fades in.
+    // Pan is a balance control: 0 leaves both channels untouched, -1 / 1 silences the opposite side.
+    function mixVoices(voices, params, sr, mix, frame, onError, interpolation) {
+        smoothParams(params);
+        mix[0] = 0;
+        mix[1] = 0;
+        for (let v = 0; v < voices.length; v++) {
+            const voice = voices[v];
+            let left = 0;
+            let right = 0;
+            if (voice.compiled) {
+                try {
+                    voiceFrame(voice, voice.compiled, voice.points, interpolation, frame, params.values);
+                    left = frame[0];
+                    right = frame[1];
+                } catch (err) {
+                    onError(voice, err);
+                }
+            }
+            if (voice.fadeLeft > 0) {
+                const fade = voice.fadeLeft / voice.fadeLength;
+                left *= 1 - fade;
+                right *= 1 - fade;
+                try {
+                    // interpolated like the incoming formula, so the fade doesn't start with a step
+                    voiceFrame(voice, voice.fadeFrom, voice.fadePoints, interpolation, frame, params.values);
+                    left += frame[0] * fade;
+                    right += frame[1] * fade;
+                    voice.fadeLeft--;
+                } catch (err) {
+                    // the outgoing formula is already replaced; just cut it off
+                    voice.fadeLeft = 0;
+                }
+                if (voice.fadeLeft === 0) voice.fadeFrom = null;
+            }
+            mix[0] += voice.pan > 0 ? left * (1 - voice.pan) : left;
+            mix[1] += voice.pan < 0 ? right * (1 + voice.pan) : right;
+            voice.t += voice.rate / sr;
+        }
+    }
+
+    // The whole sound engine: voices, live parameters, master volume, transport, error policy and record chunking.
+    // The AudioWorklet processor and the ScriptProcessor fallback are thin wrappers that feed it messages and
+    // output buffers, so both engines behave identically. It uses no Web Audio API and can be driven headlessly
+    // (e.g. from Node): new BytebeatCore(sampleRate, post), then handleMessage(msg) and process(left, right).
+    // post(msg, transfer) receives 'error', 'position' and 'recordChunk' messages; record chunks carry the id
+    // sent with "record on", and "record off" is answered with one marked last.
+    class BytebeatCore {
+        constructor(sampleRate, post) {
+            this.sampleRate = sampleRate;
+            this.post = post;
+            this.voices = [];
+            this.params = createParams();
+            this.volume = 1;
+            this.errorPolicy = 'fallback';
+            this.interpolation = 'hold';
+            this.effects = createEffects();
+            // frames over which a formula change blends from the old formula into the new one
+            this.crossfadeFrames = 0;
+            // formula changes waiting for their moment: { voice, formula, atT } or { voice, formula, atTime }
+            this.scheduled = [];
+            // transport: seconds of audio played since start / the last seek; nothing advances while paused
+            this.time = 0;
+            this.paused = false;
+            this.framesSinceReport = 0;
+            this.mix = [0, 0];
+            this.frame = [0, 0];
             this.recording = false;
-            this.recordBuffer = [];
+            // id of the current / last recording, echoed in its chunks
+            this.recordId = 0;
+            // chunk being filled, interleaved [L, R, L, R, ...] (allocated on first use, handed over when full);
+            // recordStereo notes whether any frame differed per channel
+            this.recordBuffer = null;
+            this.recordFill = 0;
+            this.recordStereo = false;
             this.recordChunkSize = 4096;
-
-            this.port.onmessage = (e) => {
-                const d = e.data;
-                if (!d) return;
-                if (d.type === 'setFormula') this._setFormula(d.formula);
-                else if (d.type === 'record') this._setRecording(!!d.on);
-                else if (d.type === 'setChunkSize') this.recordChunkSize = Math.max(128, Math.min(65536, Number(d.size) || this.recordChunkSize));
-                else if (d.type === 'resetTime') this.t = 0.0;
+            this._onVoiceError = (voice, err) => {
+                recoverVoice(voice, this.errorPolicy, true);
+                this.post({ type: 'error', voice: voice.name, formula: voice.formula, message: 'Runtime error: ' + (err && err.message ? err.message : String(err)) });
             };
+        }
 
-            this._setFormula(ERROR_FALLBACK);
+        handleMessage(d) {
+            if (!d || !d.type) return;
+            if (d.type === 'setVoice' || d.type === 'removeVoice') {
+                if (d.type === 'removeVoice') {
+                    // a stopped voice drops its pending switches, so none of them can start it again
+                    this.scheduled = this.scheduled.filter(item => item.voice !== d.voice);
+                } else if (d.formula !== undefined) {
+                    // settings resent for a voice with a pending switch carry the formula it is switching to;
+                    // any other formula replaces the pending switch
+                    const pending = this.scheduled.filter(item => item.voice === d.voice);
+                    if (pending.some(item => item.formula === d.formula)) d = Object.assign({}, d, { formula: undefined });
+                    else if (pending.length > 0) this.scheduled = this.scheduled.filter(item => item.voice !== d.voice);
+                }
+                this._applyVoice(d);
+            }
+            else if (d.type === 'scheduleVoice') this._schedule(d);
+            else if (d.type === 'setCrossfade') this.crossfadeFrames = Math.round(Math.max(0, Number(d.ms) || 0) * this.sampleRate / 1000);
+            else if (d.type === 'setInterpolation') this.interpolation = d.mode;
+            else if (d.type === 'setEffect') applyEffectMessage(this.effects, d, this.sampleRate);
+            else if (d.type === 'setErrorPolicy') this.errorPolicy = d.policy;
+            else if (d.type === 'setParam' || d.type === 'setParamSmoothing') {
+                const isNew = d.type === 'setParam' && this.params.names.indexOf(d.name) === -1;
+                applyParamMessage(this.params, d, this.sampleRate);
+                if (isNew) this._retryFailedFormulas();
+            }
+            else if (d.type === 'setVolume') this.volume = Math.max(0, Number(d.value) || 0);
+            else if (d.type === 'record') this._setRecording(!!d.on, d.id);
+            else if (d.type === 'setChunkSize') {
+                this._flushRecord();
+                this.recordChunkSize = Math.max(128, Math.min(65536, Number(d.size) || this.recordChunkSize));
+            }
+            else if (d.type === 'pause') this.paused = !!d.on;
+            else if (d.type === 'seek' || d.type === 'resetTime') {
+                this.time = Math.max(0, Number(d.time) || 0);
+                seekVoices(this.voices, this.time);
+                this.post(transportPosition(this.voices, this.time));
+            }
         }
 
-        _setRecording(on) {
-            this.recording = !!on;
-            if (!this.recording) this._flushRecord();
+        _applyVoice(d) {
+            const voice = findVoice(this.voices, d.voice);
+            const before = voice ? voice.compiled : null;
+            const err = applyVoiceMessage(this.voices, d, this.params, this.errorPolicy);
+            if (err) this.post({ type: 'error', voice: d.voice, formula: d.formula, message: 'Compile error: ' + (err && err.message ? err.message : String(err)) });
+            else if (d.type === 'setVoice') startCrossfade(voice, before, this.crossfadeFrames);
         }
 
-        _flushRecord() {
-            if (this.recordBuffer.length > 0) {
+        // A formula rejected because it used a parameter before "set formula parameter" gets another try
+        // once a new parameter exists; formulas that still don't compile are left as they are.
+        _retryFailedFormulas() {
+            const resolve = name => this.params.names.indexOf(name);
+            for (let v = 0; v < this.voices.length; v++) {
+                const voice = this.voices[v];
+                if (!voice.formulaFailed) continue;
                 try {
-                    const chunk = new Float32Array(this.recordBuffer);
-                    this.port.postMessage({ type: 'recordChunk', chunk: chunk }, [chunk.buffer]);
+                    compileFormula(voice.formula, resolve);
                 } catch (e) {
-                    this.port.postMessage({ type: 'recordChunk', chunk: this.recordBuffer.slice(0) });
+                    continue;
                 }
-                this.recordBuffer = [];
+                const before = voice.compiled;
+                loadVoiceFormula(voice, voice.formula, this.params, this.errorPolicy);
+                startCrossfade(voice, before, this.crossfadeFrames);
             }
         }
 
-        _setFormula(formulaText) {
-            try {
-                this.compiled = new Function('t','s','T','return (' + formulaText + ')|0;');
-                // quick smoke test
-                this.compiled(0,8000,0);
-            } catch (err) {
-                try {
-                    this.compiled = new Function('t','s','T','return (' + ERROR_FALLBACK + ')|0;');
-                    this.port.postMessage({ type: 'error', message: 'Compile error; switched to fallback formula: ' + (err && err.message ? err.message : String(err)) });
-                } catch (ee) {
-                    this.compiled = null;
-                    this.port.postMessage({ type: 'error', message: 'Compile failed and fallback failed: ' + String(ee && ee.message ? ee.message : ee) });
-                }
+        // A switch happens at the voice's t = atT, or at the next multiple of `beats` beats at `bpm` on the
+        // transport clock. Both land on the nearest frame; a moment already passed switches at once.
+        _schedule(d) {
+            const item = { voice: d.voice, formula: d.formula };
+            if (d.atT !== undefined) {
+                item.atT = Math.max(0, Number(d.atT) || 0);
+            } else {
+                const period = (Number(d.beats) || 0) * 60 / (Number(d.bpm) || 120);
+                item.atTime = period > 0 ? Math.ceil(this.time / period - 1e-9) * period : this.time;
             }
+            this.scheduled.push(item);
         }
 
-        process(inputs, outputs, parameters) {
-            const out = outputs[0];
-            if (!out || !out[0]) return true;
-            const output = out[0];
-            const sr = sampleRate;
-            const volParam = parameters.volume;
-            const sParam = parameters.logicalS;
-
-            const logicalS_quantum = sParam.length === 1 ? sParam[0] : sParam[0];
-            const incrementPerAudioSample = logicalS_quantum / sr;
-
-            for (let i = 0; i < output.length; i++) {
-                const vol = volParam.length === 1 ? volParam[0] : volParam[i];
-                const currentS = sParam.length === 1 ? sParam[0] : sParam[i];
-
-                let raw = 0;
-                if (this.compiled) {
-                    try {
-                        raw = this.compiled(Math.floor(this.t), currentS, this.t / currentS);
-                    } catch (err) {
-                        try {
-                            this.compiled = new Function('t','s','T','return (' + ERROR_FALLBACK + ')|0;');
-                            this.port.postMessage({ type: 'error', message: 'Runtime error; switched to fallback formula: ' + (err && err.message ? err.message : String(err)) });
-                        } catch (ee) {
-                            this.compiled = null;
-                            this.port.postMessage({ type: 'error', message: 'Runtime error and fallback failed: ' + String(ee && ee.message ? ee.message : ee) });
-                        }
-                        raw = 0;
-                    }
-                } else {
-                    raw = 0;
+        // Switches whose voice is gone are discarded rather than creating the voice afresh.
+        _runScheduled(now) {
+            const halfFrame = 0.5 / this.sampleRate;
+            for (let i = 0; i < this.scheduled.length; i++) {
+                const item = this.scheduled[i];
+                const voice = findVoice(this.voices, item.voice);
+                if (!voice) {
+                    this.scheduled.splice(i--, 1);
+                    continue;
                 }
+                const due = item.atT !== undefined
+                    ? voice.t >= item.atT - voice.rate * halfFrame
+                    : now >= item.atTime - halfFrame;
+                if (!due) continue;
+                this.scheduled.splice(i--, 1);
+                this._applyVoice({ type: 'setVoice', voice: item.voice, formula: item.formula });
+            }
+        }
+
+        // "record off" is always answered with a chunk marked last (empty if nothing is left), so whoever
+        // stopped the recording knows when it has all of it; so is switching to a recording with another id.
+        _setRecording(on, id) {
+            if (!on || (this.recording && id !== this.recordId)) this._flushRecord(true);
+            this.recording = on;
+            if (on) this.recordId = id;
+        }
+
+        _flushRecord(last) {
+            if (this.recordFill > 0 || last) {
+                let chunk = new Float32Array(0);
+                if (this.recordFill > 0) chunk = this.recordFill === this.recordBuffer.length ? this.recordBuffer : this.recordBuffer.slice(0, this.recordFill);
+                this.post({ type: 'recordChunk', chunk: chunk, stereo: this.recordStereo, id: this.recordId, last: !!last }, [chunk.buffer]);
+                this.recordStereo = false;
+            }
+            this.recordBuffer = null;
+            this.recordFill = 0;
+        }
+
+        // Fills one block of output. right may be null for a mono output, which then gets the L/R average.
+        process(left, right) {
+            const sr = this.sampleRate;
+            const mix = this.mix;
+            const vol = this.volume;
+
+            if (this.paused) {
+                left.fill(0);
+                if (right) right.fill(0);
+                return;
+            }
 
-                const v8 = (raw | 0) & 255;
-                let sample = (v8 / 128) - 1;
-                sample = sample * vol;
+            for (let i = 0; i < left.length; i++) {
+                if (this.scheduled.length > 0) this._runScheduled(this.time + i / sr);
+                mixVoices(this.voices, this.params, sr, mix, this.frame, this._onVoiceError, this.interpolation);
+                mix[0] *= vol;
+                mix[1] *= vol;
+                processEffects(this.effects, mix);
+                const l = mix[0];
+                const r = mix[1];
 
-                output[i] = sample;
+                if (right) {
+                    left[i] = l;
+                    right[i] = r;
+                } else {
+                    left[i] = (l + r) / 2;
+                }
 
                 if (this.recording) {
-                    this.recordBuffer.push(sample);
-                    if (this.recordBuffer.length >= this.recordChunkSize) this._flushRecord();
+                    if (!this.recordBuffer) this.recordBuffer = new Float32Array(this.recordChunkSize * 2);
+                    this.recordBuffer[this.recordFill++] = l;
+                    this.recordBuffer[this.recordFill++] = r;
+                    if (l !== r) this.recordStereo = true;
+                    if (this.recordFill === this.recordBuffer.length) this._flushRecord();
                 }
-                this.t += incrementPerAudioSample;
             }
+
+            this.time += left.length / sr;
+            // report about every 20 ms
+            this.framesSinceReport += left.length;
+            if (this.framesSinceReport >= sr / 50) {
+                this.framesSinceReport = 0;
+                this.post(transportPosition(this.voices, this.time));
+            }
+        }
+    }
+
+    const workletSource = `
+    const ERROR_FALLBACK_FORMULA = "${ERROR_FALLBACK_FORMULA}";
+
+    ${bytebeatSample}
+    ${parseFormula}
+    ${compileFormula}
+    ${createParams}
+    ${paramSlot}
+    ${applyParamMessage}
+    ${smoothParams}
+    ${bytebeatFrame}
+    ${findVoice}
+    ${recoverVoice}
+    ${loadVoiceFormula}
+    ${applyVoiceMessage}
+    ${seekVoices}
+    ${transportPosition}
+    ${createEffects}
+    ${createBiquad}
+    ${runBiquad}
+    ${applyEffectMessage}
+    ${processEffects}
+    ${startCrossfade}
+    ${createPoints}
+    ${voiceFrame}
+    ${mixVoices}
+    ${BytebeatCore}
+
+    class BytebeatProcessor extends AudioWorkletProcessor {
+        constructor() {
+            super();
+            this.core = new BytebeatCore(sampleRate, (msg, transfer) => this.port.postMessage(msg, transfer || []));
+            this.disposed = false;
+            this.port.onmessage = (e) => {
+                // sent when the extension stops this node: go quiet and let the browser collect the processor
+                if (e.data && e.data.type === 'dispose') {
+                    this.disposed = true;
+                    this.port.onmessage = null;
+                } else {
+                    this.core.handleMessage(e.data);
+                }
+            };
+        }
+
+        process(inputs, outputs) {
+            if (this.disposed) return false;
+            const out = outputs[0];
+            if (!out || !out[0]) return true;
+            this.core.process(out[0], out.length > 1 ? out[1] : null);
             return true;
         }
     }
@@ -130,6 +880,119 @@
     registerProcessor('bytebeat-processor', BytebeatProcessor);
     `;
 
+    // ------------------------
+    // Share links (dollchan bytebeat composer)
+    // ------------------------
+    const SHARE_LINK_BASE = 'https://dollchan.net/bytebeat/';
+    // our modes -> the composer's names
+    const LINK_MODES = { 'Bytebeat': 'Bytebeat', 'Signed bytebeat': 'Signed Bytebeat', 'Floatbeat': 'Floatbeat' };
+
+    // deflate-raw through the browser's compression streams; nothing leaves the machine
+    async function runCompression(bytes, stream) {
+        const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+        return new Uint8Array(buffer);
+    }
+
+    // Reads a composer link, or just its "#v3b64..." hash: base64 of deflate-raw compressed JSON
+    // { code, sampleRate, mode }. Older links hold the bare code or { formula }.
+    // Returns { code, sampleRate, mode } with mode in MODES; throws on anything it cannot play.
+    async function parseShareLink(link) {
+        const text = String(link).trim();
+        const start = text.indexOf('#v3b64');
+        if (start === -1) throw new Error('not a #v3b64 bytebeat link');
+        if (typeof DecompressionStream === 'undefined') throw new Error('this browser cannot decompress links');
+        let data = text.substring(start + 6);
+        try { data = decodeURIComponent(data); } catch (e) {}
+        data = data.replace(/-/g, '+').replace(/_/g, '/').replace(/[^A-Za-z0-9+/]/g, '');
+        const binary = atob(data + '='.repeat((4 - data.length % 4) % 4));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        const json = new TextDecoder().decode(await runCompression(bytes, new DecompressionStream('deflate-raw')));
+
+        const song = json.charAt(0) === '{' ? JSON.parse(json) : { code: json };
+        const code = song.code !== undefined ? song.code : song.formula;
+        if (typeof code !== 'string') throw new Error('the link has no formula');
+        const linkMode = String(song.mode || 'Bytebeat').toLowerCase();
+        const mode = MODES.find(m => LINK_MODES[m].toLowerCase() === linkMode);
+        if (!mode) throw new Error(song.mode + ' links are not supported');
+        return { code: code, sampleRate: Number(song.sampleRate) || 8000, mode: mode };
+    }
+
+    // Builds a composer link the way the composer does: sample rate and mode are left out at their defaults.
+    async function makeShareLink(code, sampleRate, mode) {
+        if (typeof CompressionStream === 'undefined') throw new Error('this browser cannot compress links');
+        const song = { code: code };
+        if (sampleRate !== 8000) song.sampleRate = sampleRate;
+        if (mode !== 'Bytebeat') song.mode = LINK_MODES[mode];
+        const bytes = await runCompression(new TextEncoder().encode(JSON.stringify(song)), new CompressionStream('deflate-raw'));
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+        return SHARE_LINK_BASE + '#v3b64' + btoa(binary).replace(/=+$/, '');
+    }
+
+    // ------------------------
+    // Recording storage
+    // ------------------------
+    // "limit recordings" menu labels -> what happens at the limit
+    const RECORD_POLICIES = { 'stop recording': 'keep', 'keep only the latest': 'ring' };
+    const RECORD_BLOCK_FRAMES = 65536;
+
+    // Interleaved stereo frames in Float32Array blocks of RECORD_BLOCK_FRAMES, allocated as they fill up and
+    // never more than maxFrames in total. Once full, the 'keep' policy refuses further frames and the 'ring'
+    // policy overwrites the oldest ones.
+    class RecordingBuffer {
+        constructor(maxFrames, policy) {
+            this.maxFrames = Math.max(1, Math.floor(maxFrames));
+            this.ring = policy === 'ring';
+            this.blocks = [];
+            // frames ever appended; with the ring policy, the next write goes to written % maxFrames
+            this.written = 0;
+        }
+
+        get frames() {
+            return Math.min(this.written, this.maxFrames);
+        }
+
+        get full() {
+            return !this.ring && this.written >= this.maxFrames;
+        }
+
+        // Appends an interleaved chunk; returns false when (part of) it did not fit under the 'keep' policy.
+        append(chunk) {
+            const frames = Math.floor(chunk.length / 2);
+            let offset = 0;
+            while (offset < frames) {
+                if (this.full) return false;
+                const pos = this.written % this.maxFrames;
+                const b = Math.floor(pos / RECORD_BLOCK_FRAMES);
+                const within = pos - b * RECORD_BLOCK_FRAMES;
+                if (!this.blocks[b]) this.blocks[b] = new Float32Array(Math.min(RECORD_BLOCK_FRAMES, this.maxFrames - b * RECORD_BLOCK_FRAMES) * 2);
+                const n = Math.min(frames - offset, this.blocks[b].length / 2 - within);
+                this.blocks[b].set(chunk.subarray(offset * 2, (offset + n) * 2), within * 2);
+                offset += n;
+                this.written += n;
+            }
+            return true;
+        }
+
+        // all stored frames, oldest first, as one interleaved Float32Array
+        toFloat32Array() {
+            const out = new Float32Array(this.frames * 2);
+            const start = this.written > this.maxFrames ? this.written % this.maxFrames : 0;
+            let o = 0;
+            for (let i = 0; i < this.frames; ) {
+                const pos = (start + i) % this.maxFrames;
+                const b = Math.floor(pos / RECORD_BLOCK_FRAMES);
+                const within = pos - b * RECORD_BLOCK_FRAMES;
+                const n = Math.min(this.frames - i, this.blocks[b].length / 2 - within, this.maxFrames - pos);
+                out.set(this.blocks[b].subarray(within * 2, (within + n) * 2), o);
+                o += n * 2;
+                i += n;
+            }
+            return out;
+        }
+    }
+
     // ------------------------
     // Extension
     // ------------------------
@@ -139,21 +1002,67 @@
 
             this.audioCtx = null;
             this.node = null;
-            this.isPlaying = false;
+            // sits between this.node and the destination; created with the AudioContext
+            this.analyser = null;
+            this.playing = false;
+            this.paused = false;
+            // last position reported by the engine; `at` is the AudioContext time it arrived
+            this._position = { time: 0, voices: {}, at: 0 };
             this._usingWorklet = false;
             this._workletLoaded = false;
 
-            this.logicalSampleRate = 8000;
+            // master volume, applied after the voices are mixed
             this.volume = 1.0;
-            this.formula = '(t*(t>>5|t>>8))>>(t>>16)';
+            // voice settings by name; only active voices are sent to the engine
+            this.voices = {};
+            this._voiceSettings(MAIN_VOICE);
+            // live formula parameters by name, and their smoothing time in ms
+            this.params = {};
+            this.paramSmoothing = 0;
+            // crossfade time in ms when a voice changes formula, and the tempo "at next [BEATS] beats" counts in
+            this.crossfade = 0;
+            this.tempo = 120;
+            // how voices step between whole t (see voiceFrame), and output effect settings by engine name
+            this.interpolation = 'hold';
+            this.effects = {};
+
+            // what a failing formula turns into (see recoverVoice), and the last error for the reporter
+            this.errorPolicy = 'fallback';
+            this._lastError = { message: '', formula: '', voice: '' };
 
             this.recording = false;
-            this.recordedSamples = [];
-            this.recordMaxSamples = 44100 * 60 * 10;
+            // RecordingBuffer of the current / last recording, created at the first chunk (when the output rate
+            // is known); recordedStereo decides between a 1- and 2-channel WAV
+            this._recordBuffer = null;
+            this.recordedStereo = false;
+            // numbers the recordings, so chunks of an earlier one are never mixed into the next
+            this._recordId = 0;
+            // while a stop block waits for the engine's last chunk: the function that lets it continue
+            this._recordStopped = null;
+            // length limit and what happens at it (see RecordingBuffer), used from the next recording on
+            this.recordMaxSeconds = 600;
+            this.recordPolicy = 'keep';
             this.preferredChunkSize = 4096;
+            // WAV encoding for recordings and renders: 8 / 16 / 32 (float) bits, output or logical (main voice) rate
+            this.wavBits = 16;
+            this.wavRate = 'output';
 
-            // script fallback state placeholders
-            this._handleScriptMessage = () => {};
+            // engine core of the ScriptProcessor fallback (the worklet keeps its own in the audio thread)
+            this._scriptCore = null;
+
+            // formula presets by name: { formula, rate, mode }
+            this.presets = {};
+            // settings live in the project (TurboWarp saves runtime.extensionStorage with it); a project
+            // loaded later brings its own, or the defaults
+            if (runtime) {
+                if (runtime.extensionStorage && runtime.extensionStorage.yoog) this._loadState(runtime.extensionStorage.yoog);
+                if (runtime.on) {
+                    runtime.on('PROJECT_LOADED', () => {
+                        this.stop();
+                        this._loadState(runtime.extensionStorage ? runtime.extensionStorage.yoog : null);
+                    });
+                }
+            }
         }
 
         getInfo() {
@@ -164,28 +1073,205 @@
                 color2: '#27AE60',
                 blocks: [
                     {
-                        opcode: 'startFormula',
+                        opcode: 'startFormula',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'start bytebeat with formula [FORMULA]',
+                        arguments: { FORMULA: { type: Scratch.ArgumentType.STRING, defaultValue: DEFAULT_FORMULA } }
+                    },
+                    { opcode: 'stop', blockType: Scratch.BlockType.COMMAND, text: 'stop bytebeat' },
+                    {
+                        opcode: 'startVoice',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'start voice [NAME] with formula [FORMULA]',
+                        arguments: {
+                            NAME: { type: Scratch.ArgumentType.STRING, defaultValue: 'drums' },
+                            FORMULA: { type: Scratch.ArgumentType.STRING, defaultValue: '(t*9&t>>4)|((t*5&t>>7))' }
+                        }
+                    },
+                    {
+                        opcode: 'stopVoice',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'stop voice [NAME]',
+                        arguments: { NAME: { type: Scratch.ArgumentType.STRING, defaultValue: 'drums' } }
+                    },
+                    {
+                        opcode: 'setVoiceProperty',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'set voice [NAME] [PROPERTY] to [VALUE]',
+                        arguments: {
+                            NAME: { type: Scratch.ArgumentType.STRING, defaultValue: 'drums' },
+                            PROPERTY: { type: Scratch.ArgumentType.STRING, menu: 'VOICE_PROPERTY', defaultValue: 'Volume' },
+                            VALUE: { type: Scratch.ArgumentType.STRING, defaultValue: 1 }
+                        }
+                    },
+                    {
+                        opcode: 'switchFormulaAtT',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'switch to formula [FORMULA] at t = [T]',
+                        arguments: {
+                            FORMULA: { type: Scratch.ArgumentType.STRING, defaultValue: DEFAULT_FORMULA },
+                            T: { type: Scratch.ArgumentType.NUMBER, defaultValue: 65536 }
+                        }
+                    },
+                    {
+                        opcode: 'switchFormulaAtBeats',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'switch to formula [FORMULA] at next [BEATS] beats',
+                        arguments: {
+                            FORMULA: { type: Scratch.ArgumentType.STRING, defaultValue: DEFAULT_FORMULA },
+                            BEATS: { type: Scratch.ArgumentType.NUMBER, defaultValue: 4 }
+                        }
+                    },
+                    {
+                        opcode: 'setProperty',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'set [PROPERTY] to [VALUE]',
+                        arguments: {
+                            PROPERTY: { type: Scratch.ArgumentType.STRING, menu: 'PROPERTY', defaultValue: 'Volume' },
+                            VALUE: { type: Scratch.ArgumentType.STRING, defaultValue: 1 }
+                        }
+                    },
+                    {
+                        opcode: 'setParam',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'set formula parameter [NAME] to [VALUE]',
+                        arguments: {
+                            NAME: { type: Scratch.ArgumentType.STRING, defaultValue: 'a' },
+                            VALUE: { type: Scratch.ArgumentType.NUMBER, defaultValue: 0 }
+                        }
+                    },
+                    { opcode: 'isPlaying', blockType: Scratch.BlockType.BOOLEAN, text: 'is playing' },
+                    {
+                        opcode: 'savePreset',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'save bytebeat as preset [NAME]',
+                        arguments: { NAME: { type: Scratch.ArgumentType.STRING, defaultValue: 'my formula' } }
+                    },
+                    {
+                        opcode: 'startPreset',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'start saved formula [PRESET]',
+                        arguments: { PRESET: { type: Scratch.ArgumentType.STRING, menu: 'PRESET' } }
+                    },
+                    {
+                        opcode: 'presetFormula',
+                        blockType: Scratch.BlockType.REPORTER,
+                        text: 'saved formula [PRESET]',
+                        arguments: { PRESET: { type: Scratch.ArgumentType.STRING, menu: 'PRESET' } }
+                    },
+                    {
+                        opcode: 'deletePreset',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'delete saved formula [PRESET]',
+                        arguments: { PRESET: { type: Scratch.ArgumentType.STRING, menu: 'PRESET' } }
+                    },
+                    { opcode: 'whenError', blockType: Scratch.BlockType.EVENT, text: 'when bytebeat error', isEdgeActivated: false },
+                    {
+                        opcode: 'lastError',
+                        blockType: Scratch.BlockType.REPORTER,
+                        text: 'last bytebeat error [PART]',
+                        arguments: { PART: { type: Scratch.ArgumentType.STRING, menu: 'ERROR_PART', defaultValue: 'message' } }
+                    },
+                    {
+                        opcode: 'setErrorPolicy',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'when a formula fails, [POLICY]',
+                        arguments: { POLICY: { type: Scratch.ArgumentType.STRING, menu: 'ERROR_POLICY', defaultValue: 'play fallback' } }
+                    },
+                    { opcode: 'pause', blockType: Scratch.BlockType.COMMAND, text: 'pause bytebeat' },
+                    { opcode: 'resume', blockType: Scratch.BlockType.COMMAND, text: 'resume bytebeat' },
+                    { opcode: 'seekT', blockType: Scratch.BlockType.COMMAND, text: 'seek to t = [T]', arguments: { T: { type: Scratch.ArgumentType.NUMBER, defaultValue: 0 } } },
+                    { opcode: 'seekSeconds', blockType: Scratch.BlockType.COMMAND, text: 'seek to [SECONDS] s', arguments: { SECONDS: { type: Scratch.ArgumentType.NUMBER, defaultValue: 0 } } },
+                    { opcode: 'currentT', blockType: Scratch.BlockType.REPORTER, text: 'current t' },
+                    { opcode: 'elapsedSeconds', blockType: Scratch.BlockType.REPORTER, text: 'elapsed seconds' },
+                    { opcode: 'recordStart', blockType: Scratch.BlockType.COMMAND, text: 'start recording to WAV' },
+                    { opcode: 'recordStopSave', blockType: Scratch.BlockType.COMMAND, text: 'stop recording and save WAV [FILENAME]', arguments: { FILENAME: { type: Scratch.ArgumentType.STRING, defaultValue: 'bytebeat.wav' } } },
+                    {
+                        opcode: 'setRecordLimit',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'limit recordings to [SECONDS] s, then [POLICY]',
+                        arguments: {
+                            SECONDS: { type: Scratch.ArgumentType.NUMBER, defaultValue: 600 },
+                            POLICY: { type: Scratch.ArgumentType.STRING, menu: 'RECORD_POLICY', defaultValue: 'stop recording' }
+                        }
+                    },
+                    { opcode: 'isRecording', blockType: Scratch.BlockType.BOOLEAN, text: 'is recording' },
+                    { opcode: 'recordingLength', blockType: Scratch.BlockType.REPORTER, text: 'recording length (s)' },
+                    { opcode: 'recordStopAddSound', blockType: Scratch.BlockType.COMMAND, text: 'stop recording and add to sprite sounds as [NAME]', arguments: { NAME: { type: Scratch.ArgumentType.STRING, defaultValue: 'bytebeat' } } },
+                    {
+                        opcode: 'setWavFormat',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'set WAV format to [FORMAT] at [RATE] sample rate',
+                        arguments: {
+                            FORMAT: { type: Scratch.ArgumentType.STRING, menu: 'WAV_FORMAT', defaultValue: '16-bit' },
+                            RATE: { type: Scratch.ArgumentType.STRING, menu: 'WAV_RATE', defaultValue: 'output' }
+                        }
+                    },
+                    {
+                        opcode: 'renderToWav',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'render [FORMULA] for [SECONDS] s at [RATE] Hz and save WAV [FILENAME]',
+                        arguments: {
+                            FORMULA: { type: Scratch.ArgumentType.STRING, defaultValue: DEFAULT_FORMULA },
+                            SECONDS: { type: Scratch.ArgumentType.NUMBER, defaultValue: 10 },
+                            RATE: { type: Scratch.ArgumentType.NUMBER, defaultValue: 8000 },
+                            FILENAME: { type: Scratch.ArgumentType.STRING, defaultValue: 'bytebeat.wav' }
+                        }
+                    },
+                    {
+                        opcode: 'renderToList',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'render [FORMULA] for [SECONDS] s at [RATE] Hz into list [LIST]',
+                        arguments: {
+                            FORMULA: { type: Scratch.ArgumentType.STRING, defaultValue: DEFAULT_FORMULA },
+                            SECONDS: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1 },
+                            RATE: { type: Scratch.ArgumentType.NUMBER, defaultValue: 8000 },
+                            LIST: { type: Scratch.ArgumentType.STRING, menu: 'LIST' }
+                        }
+                    },
+                    {
+                        opcode: 'waveformToList',
                         blockType: Scratch.BlockType.COMMAND,
-                        text: 'start bytebeat with formula [FORMULA]',
-                        arguments: { FORMULA: { type: Scratch.ArgumentType.STRING, defaultValue: '(t*(t>>5|t>>8))>>(t>>16)' } }
+                        text: 'put last [N] output samples into list [LIST]',
+                        arguments: {
+                            N: { type: Scratch.ArgumentType.NUMBER, defaultValue: 512 },
+                            LIST: { type: Scratch.ArgumentType.STRING, menu: 'LIST' }
+                        }
                     },
-                    { opcode: 'stop', blockType: Scratch.BlockType.COMMAND, text: 'stop bytebeat' },
                     {
-                        opcode: 'setProperty',
+                        opcode: 'spectrumToList',
                         blockType: Scratch.BlockType.COMMAND,
-                        text: 'set [PROPERTY] to [VALUE]',
+                        text: 'put spectrum with [BINS] bins into list [LIST]',
                         arguments: {
-                            PROPERTY: { type: Scratch.ArgumentType.STRING, defaultValue: 'Volume' },
-                            VALUE: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1 }
+                            BINS: { type: Scratch.ArgumentType.NUMBER, defaultValue: 64 },
+                            LIST: { type: Scratch.ArgumentType.STRING, menu: 'LIST' }
                         }
                     },
-                    { opcode: 'isPlaying', blockType: Scratch.BlockType.BOOLEAN, text: 'is playing' },
-                    { opcode: 'recordStart', blockType: Scratch.BlockType.COMMAND, text: 'start recording to WAV' },
-                    { opcode: 'recordStopSave', blockType: Scratch.BlockType.COMMAND, text: 'stop recording and save WAV [FILENAME]', arguments: { FILENAME: { type: Scratch.ArgumentType.STRING, defaultValue: 'bytebeat.wav' } } },
+                    { opcode: 'loudness', blockType: Scratch.BlockType.REPORTER, text: 'bytebeat loudness' },
+                    {
+                        opcode: 'startFromLink',
+                        blockType: Scratch.BlockType.COMMAND,
+                        text: 'start bytebeat from link [LINK]',
+                        arguments: { LINK: { type: Scratch.ArgumentType.STRING, defaultValue: SHARE_LINK_BASE + '#v3b64q1ZKzk9JVbJS0ijR0iixszOtKbGzs9DUtLMD8QzNNJVqAQ' } }
+                    },
+                    { opcode: 'shareLink', blockType: Scratch.BlockType.REPORTER, text: 'share link of bytebeat' },
                     { opcode: 'exampleFormula', blockType: Scratch.BlockType.REPORTER, text: 'example formula [N]', arguments: { N: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1 } } }
                 ],
                 menus: {
-                    PROPERTY: ['Volume', 'Sample rate', 'Buffer size']
+                    // accepts reporters so typed property names (and older projects, which had a text field) still work
+                    PROPERTY: {
+                        acceptReporters: true,
+                        items: ['Volume', 'Sample rate', 'Buffer size', 'Mode', 'Parameter smoothing', 'Crossfade', 'Tempo',
+                            'Interpolation', 'Low-pass', 'High-pass', 'Bit depth', 'Downsample', 'DC removal', 'Soft clip']
+                    },
+                    VOICE_PROPERTY: ['Volume', 'Sample rate', 'Pan', 'Mode'],
+                    WAV_FORMAT: ['16-bit', '8-bit', '32-bit float'],
+                    ERROR_PART: ['message', 'formula', 'voice'],
+                    ERROR_POLICY: Object.keys(ERROR_POLICIES),
+                    RECORD_POLICY: Object.keys(RECORD_POLICIES),
+                    WAV_RATE: ['output', 'logical'],
+                    LIST: { acceptReporters: true, items: '_listMenu' },
+                    PRESET: { acceptReporters: true, items: '_presetMenu' }
                 }
             };
         }
@@ -194,89 +1280,355 @@
         // Blocks
         // -------------------------
         async startFormula(args) {
-            this.formula = String(args.FORMULA || this.formula).trim();
-            try {
-                this._sanityCheckFormula(this.formula);
-            } catch (e) {
-                console.warn('Formula rejected by sanity check:', e && e.message);
-                this.formula = ERROR_FALLBACK_FORMULA;
-            }
+            await this._startVoice(MAIN_VOICE, args.FORMULA);
+        }
 
-            await this._ensureAudioPrepared();
-            // ensure audio context resumed on user gesture
-            if (this.audioCtx && this.audioCtx.state === 'suspended') {
-                this.audioCtx.resume().catch(()=>{});
-            }
+        // the switch is timed by the engine, so it lands on the exact frame
+        async switchFormulaAtT(args) {
+            await this._scheduleVoice(MAIN_VOICE, args.FORMULA, { atT: Math.max(0, Number(args.T) || 0) });
+        }
 
-            this._postToNode({ type: 'setFormula', formula: this.formula });
-            if (!this.isPlaying) this._startAudio();
+        async switchFormulaAtBeats(args) {
+            await this._scheduleVoice(MAIN_VOICE, args.FORMULA, { beats: Math.max(0, Number(args.BEATS) || 0), bpm: this.tempo });
         }
 
         stop() {
+            for (const name in this.voices) this.voices[name].active = false;
+            this.paused = false;
             this._stopAudio();
         }
 
-        // unified property setter block handler
+        async startVoice(args) {
+            await this._startVoice(String(args.NAME), args.FORMULA);
+        }
+
+        stopVoice(args) {
+            const name = String(args.NAME);
+            const voice = this.voices[name];
+            if (!voice || !voice.active) return;
+            voice.active = false;
+            this._postToNode({ type: 'removeVoice', voice: name });
+        }
+
+        setVoiceProperty(args) {
+            this._setVoiceProperty(String(args.NAME), String(args.PROPERTY || 'Volume'), args.VALUE);
+            this._saveState();
+        }
+
         setProperty(args) {
+            this._applyProperty(args);
+            this._saveState();
+        }
+
+        // unified property setter, also used to restore saved settings
+        _applyProperty(args) {
             const prop = String(args.PROPERTY || 'Volume');
             const value = Number(args.VALUE);
+            const effectKey = prop.toLowerCase().replace(/[\s-]/g, '');
+            const effect = Object.prototype.hasOwnProperty.call(EFFECT_PROPERTIES, effectKey) ? EFFECT_PROPERTIES[effectKey] : null;
 
             if (/^volume$/i.test(prop)) {
-                // treat value as linear 0..1 (clamp)
+                // master volume; treat value as linear 0..1 (clamp)
                 const clamped = Math.max(0, Math.min(4, isNaN(value) ? 1 : value));
                 this.volume = clamped;
-                if (this.node && this._usingWorklet) {
-                    try { this.node.parameters.get('volume').setValueAtTime(this.volume, this.audioCtx.currentTime); }
-                    catch (e) { this._postToNode({ type: 'setVolume', value: this.volume }); }
-                }
-            } else if (/^sample\s*rate$/i.test(prop)) {
-                const clamped = Math.max(100, Math.min(192000, Math.round(isNaN(value) ? 8000 : value)));
-                this.logicalSampleRate = clamped;
-                if (this.node && this._usingWorklet) {
-                    try { this.node.parameters.get('logicalS').setValueAtTime(clamped, this.audioCtx.currentTime); }
-                    catch (e) { this._postToNode({ type: 'setLogicalS', value: clamped }); }
+                this._postToNode({ type: 'setVolume', value: this.volume });
+            } else if (/^parameter\s*smoothing$/i.test(prop)) {
+                // glide time in ms for "set formula parameter"; 0 = instant
+                this.paramSmoothing = Math.max(0, Math.min(5000, isNaN(value) ? 0 : value));
+                this._postToNode({ type: 'setParamSmoothing', ms: this.paramSmoothing });
+            } else if (/^crossfade$/i.test(prop)) {
+                // ms over which a formula change blends into the new formula; 0 = instant
+                this.crossfade = Math.max(0, Math.min(10000, isNaN(value) ? 0 : value));
+                this._postToNode({ type: 'setCrossfade', ms: this.crossfade });
+            } else if (/^interpolation$/i.test(prop)) {
+                const mode = String(args.VALUE).trim().toLowerCase();
+                if (INTERPOLATIONS.indexOf(mode) === -1) {
+                    console.warn('Unknown interpolation (use hold, linear or cubic):', args.VALUE);
+                    return;
                 }
+                this.interpolation = mode;
+                this._postToNode({ type: 'setInterpolation', mode: mode });
+            } else if (effect) {
+                // cutoffs in Hz, bit depth, downsample factor, DC removal 0/1, soft clip drive; "off" is the minimum,
+                // "on" is 1 (DC removal on, soft clip at unity drive)
+                const [name, min, max] = effect;
+                const text = String(args.VALUE).trim().toLowerCase();
+                const amount = text === 'on' ? 1 : text === 'off' ? min : value;
+                this.effects[name] = Math.max(min, Math.min(max, isNaN(amount) ? min : amount));
+                this._postToNode({ type: 'setEffect', name: name, value: this.effects[name] });
+            } else if (/^tempo$/i.test(prop)) {
+                // beats per minute for "at next [BEATS] beats"
+                this.tempo = Math.max(1, Math.min(1000, isNaN(value) ? 120 : value));
+            } else if (/^(sample\s*rate|mode)$/i.test(prop)) {
+                this._setVoiceProperty(MAIN_VOICE, prop, args.VALUE);
             } else if (/^buffer\s*size$/i.test(prop)) {
                 const size = Math.max(128, Math.min(65536, Math.round(isNaN(value) ? this.preferredChunkSize : value)));
                 this.preferredChunkSize = size;
-                if (this.node && this._usingWorklet) this._postToNode({ type: 'setChunkSize', size: this.preferredChunkSize });
-                if (!this._usingWorklet && this.isPlaying) this._recreateScriptProcessor();
+                this._postToNode({ type: 'setChunkSize', size: this.preferredChunkSize });
+                if (!this._usingWorklet && this.playing) this._recreateScriptProcessor();
             } else {
                 console.warn('Unknown property in setProperty:', prop);
             }
         }
 
         isPlaying() {
-            return !!this.isPlaying;
+            return !!this.playing && !this.paused;
+        }
+
+        setParam(args) {
+            const name = String(args.NAME).trim();
+            if (!isParamName(name)) {
+                console.warn('Not a valid formula parameter name:', name);
+                return;
+            }
+            const value = Number(args.VALUE);
+            this.params[name] = isNaN(value) ? 0 : value;
+            this._postToNode({ type: 'setParam', name: name, value: this.params[name] });
+        }
+
+        // keeps the main voice's formula, sample rate and mode under NAME
+        savePreset(args) {
+            const name = String(args.NAME).trim();
+            if (!name) return;
+            const voice = this._voiceSettings(MAIN_VOICE);
+            this.presets[name] = { formula: voice.formula, rate: voice.rate, mode: voice.mode };
+            this._saveState();
+        }
+
+        async startPreset(args) {
+            const preset = this._preset(args.PRESET);
+            if (!preset) return;
+            this._setVoiceProperty(MAIN_VOICE, 'Sample rate', preset.rate);
+            this._setVoiceProperty(MAIN_VOICE, 'Mode', preset.mode);
+            await this._startVoice(MAIN_VOICE, preset.formula);
+        }
+
+        presetFormula(args) {
+            const preset = this._preset(args.PRESET);
+            return preset ? preset.formula : '';
+        }
+
+        deletePreset(args) {
+            if (!this._preset(args.PRESET)) return;
+            delete this.presets[String(args.PRESET)];
+            this._saveState();
+        }
+
+        lastError(args) {
+            const part = String(args.PART);
+            if (part === 'formula') return this._lastError.formula;
+            if (part === 'voice') return this._lastError.voice;
+            return this._lastError.message;
+        }
+
+        setErrorPolicy(args) {
+            const policy = ERROR_POLICIES[String(args.POLICY)];
+            if (!policy) {
+                console.warn('Unknown error policy:', args.POLICY);
+                return;
+            }
+            this.errorPolicy = policy;
+            this._postToNode({ type: 'setErrorPolicy', policy: policy });
+        }
+
+        pause() {
+            this.paused = true;
+            this._postToNode({ type: 'pause', on: true });
+        }
+
+        resume() {
+            this.paused = false;
+            this._postToNode({ type: 'pause', on: false });
+            if (this.audioCtx && this.audioCtx.state === 'suspended') this.audioCtx.resume().catch(()=>{});
+        }
+
+        // t of the main voice; every other voice moves to the same point in time
+        seekT(args) {
+            const t = Math.max(0, Number(args.T) || 0);
+            this._seek(t / this._voiceSettings(MAIN_VOICE).rate);
+        }
+
+        seekSeconds(args) {
+            this._seek(Math.max(0, Number(args.SECONDS) || 0));
+        }
+
+        currentT() {
+            const voice = this._voiceSettings(MAIN_VOICE);
+            const reported = this._position.voices[MAIN_VOICE];
+            if (reported === undefined) return 0;
+            return Math.floor(reported + this._positionDrift() * voice.rate);
+        }
+
+        elapsedSeconds() {
+            return this._position.time + this._positionDrift();
         }
 
         recordStart() {
-            this.recordedSamples = [];
+            this._recordBuffer = null;
+            this.recordedStereo = false;
             this.recording = true;
-            this._postToNode({ type: 'record', on: true });
+            this._recordId++;
+            this._postToNode({ type: 'record', on: true, id: this._recordId });
+        }
+
+        setRecordLimit(args) {
+            const policy = RECORD_POLICIES[String(args.POLICY)];
+            if (!policy) {
+                console.warn('Unknown recording policy:', args.POLICY);
+                return;
+            }
+            const seconds = Number(args.SECONDS);
+            this.recordMaxSeconds = Math.max(1, Math.min(3600, isNaN(seconds) ? 600 : seconds));
+            this.recordPolicy = policy;
+        }
+
+        isRecording() {
+            return this.recording;
+        }
+
+        // seconds recorded so far and not yet saved (only the latest part, once a ring buffer wrapped)
+        recordingLength() {
+            if (!this._recordBuffer || !this.audioCtx) return 0;
+            return Math.round(this._recordBuffer.frames / this.audioCtx.sampleRate * 1000) / 1000;
         }
 
-        recordStopSave(args) {
+        async recordStopSave(args) {
             const filename = String(args.FILENAME || 'bytebeat.wav');
-            this.recording = false;
-            this._postToNode({ type: 'record', on: false });
+            const recording = await this._takeRecording();
+            if (!recording) {
+                this._reportError('No audio recorded.');
+                return;
+            }
+            const wav = this._makeWavBlob(recording.samples, recording.rate, recording.channels, this.wavBits);
+            this._downloadBlob(wav, filename);
+        }
 
-            if (!this.recordedSamples || this.recordedSamples.length === 0) {
-                alert('No audio recorded.');
+        // adds the recording to the sounds of the sprite running the block, so the sound blocks can play it
+        async recordStopAddSound(args, util) {
+            const name = String(args.NAME || 'bytebeat');
+            const recording = await this._takeRecording();
+            if (!recording) {
+                this._reportError('No audio recorded.');
                 return;
             }
-            const wav = this._makeWavBlob(this.recordedSamples, this.audioCtx ? this.audioCtx.sampleRate : 44100);
-            const url = URL.createObjectURL(wav);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = filename;
-            document.body.appendChild(a);
-            a.click();
-            setTimeout(() => {
-                URL.revokeObjectURL(url);
-                a.remove();
-            }, 1000);
-            this.recordedSamples = [];
+            const target = util && util.target;
+            const storage = this.runtime && this.runtime.storage;
+            if (!target || !storage || !Scratch.vm) {
+                this._reportError('Cannot add sound: no project runtime available.');
+                return;
+            }
+            const wav = this._encodeWav(recording.samples, recording.rate, recording.channels, this.wavBits);
+            const asset = storage.createAsset(storage.AssetType.Sound, storage.DataFormat.WAV, new Uint8Array(wav), null, true);
+            await Scratch.vm.addSound({
+                asset: asset,
+                md5: asset.assetId + '.' + asset.dataFormat,
+                name: name,
+                dataFormat: asset.dataFormat
+            }, target.id);
+        }
+
+        setWavFormat(args) {
+            const format = String(args.FORMAT);
+            if (/^8/.test(format)) this.wavBits = 8;
+            else if (/^32|float/i.test(format)) this.wavBits = 32;
+            else this.wavBits = 16;
+            this.wavRate = /^logical$/i.test(String(args.RATE)) ? 'logical' : 'output';
+        }
+
+        // renders without an AudioContext: one output sample per t step, so the WAV plays at RATE Hz
+        renderToWav(args) {
+            const filename = String(args.FILENAME || 'bytebeat.wav');
+            const rate = this._clampRenderRate(args.RATE);
+            const rendered = this._renderFormula(args.FORMULA, args.SECONDS, rate, RENDER_MAX_FRAMES);
+            if (!rendered) return;
+            const channels = rendered.stereo ? 2 : 1;
+            const samples = channels === 2 ? rendered.samples : rendered.samples.filter((_, i) => (i & 1) === 0);
+            this._downloadBlob(this._makeWavBlob(samples, rate, channels, this.wavBits), filename);
+        }
+
+        // stereo formulas are mixed down to mono, one list item per sample
+        renderToList(args, util) {
+            const list = this._lookupList(args.LIST, util);
+            if (!list) {
+                this._reportError('Render target list not found: ' + args.LIST, args.FORMULA);
+                return;
+            }
+            const rendered = this._renderFormula(args.FORMULA, args.SECONDS, this._clampRenderRate(args.RATE), RENDER_LIST_MAX_FRAMES);
+            if (!rendered) return;
+            const interleaved = rendered.samples;
+            const values = new Array(interleaved.length / 2);
+            for (let i = 0; i < values.length; i++) values[i] = (interleaved[2 * i] + interleaved[2 * i + 1]) / 2;
+            list.value = values;
+            list._monitorUpToDate = false;
+        }
+
+        // mono mix of what is currently playing, -1..1; zeros when nothing plays
+        waveformToList(args, util) {
+            const list = this._lookupList(args.LIST, util);
+            if (!list) return;
+            const n = Math.max(1, Math.min(32768, Math.round(Number(args.N) || 512)));
+            const data = this._analyserWaveform(n);
+            const values = new Array(n).fill(0);
+            if (data) for (let i = 0; i < n; i++) values[i] = data[data.length - n + i];
+            list.value = values;
+            list._monitorUpToDate = false;
+        }
+
+        // linear magnitudes 0..1 from low to high frequency; each bin is the loudest analyser bin in its band
+        spectrumToList(args, util) {
+            const list = this._lookupList(args.LIST, util);
+            if (!list) return;
+            const analyser = this.playing ? this.analyser : null;
+            const available = analyser ? analyser.frequencyBinCount : 1024;
+            const bins = Math.max(1, Math.min(available, Math.round(Number(args.BINS) || 64)));
+            const values = new Array(bins).fill(0);
+            if (analyser) {
+                const db = new Float32Array(analyser.frequencyBinCount);
+                analyser.getFloatFrequencyData(db);
+                for (let b = 0; b < bins; b++) {
+                    const start = Math.floor(b * db.length / bins);
+                    const end = Math.max(start + 1, Math.floor((b + 1) * db.length / bins));
+                    let peak = 0;
+                    for (let i = start; i < end; i++) peak = Math.max(peak, Math.pow(10, db[i] / 20));
+                    values[b] = peak;
+                }
+            }
+            list.value = values;
+            list._monitorUpToDate = false;
+        }
+
+        // RMS of the latest analyser window on Scratch's 0..100 loudness scale
+        loudness() {
+            const data = this._analyserWaveform(0);
+            if (!data) return 0;
+            let sum = 0;
+            for (let i = 0; i < data.length; i++) sum += data[i] * data[i];
+            return Math.min(100, Math.round(Math.sqrt(sum / data.length) * 1000) / 10);
+        }
+
+        // a link sets the main voice's sample rate and mode too
+        async startFromLink(args) {
+            let song;
+            try {
+                song = await parseShareLink(args.LINK);
+            } catch (err) {
+                this._reportError('Cannot read bytebeat link: ' + (err && err.message ? err.message : String(err)));
+                return;
+            }
+            this._setVoiceProperty(MAIN_VOICE, 'Sample rate', song.sampleRate);
+            this._setVoiceProperty(MAIN_VOICE, 'Mode', song.mode);
+            await this._startVoice(MAIN_VOICE, song.code);
+        }
+
+        // link to the main voice's formula, sample rate and mode
+        async shareLink() {
+            const voice = this._voiceSettings(MAIN_VOICE);
+            try {
+                return await makeShareLink(voice.formula, voice.rate, voice.mode);
+            } catch (err) {
+                this._reportError('Cannot make bytebeat link: ' + (err && err.message ? err.message : String(err)));
+                return '';
+            }
         }
 
         exampleFormula(args) {
@@ -291,6 +1643,103 @@
             return examples[(n - 1) % examples.length];
         }
 
+        // -------------------------
+        // Voices
+        // -------------------------
+        // settings for a voice, created with defaults on first use (e.g. setting a property before starting it)
+        _voiceSettings(name) {
+            if (!Object.prototype.hasOwnProperty.call(this.voices, name)) {
+                this.voices[name] = { formula: DEFAULT_FORMULA, rate: 8000, volume: 1, pan: 0, mode: 'Bytebeat', active: false };
+            }
+            return this.voices[name];
+        }
+
+        async _startVoice(name, formulaText) {
+            const voice = this._voiceSettings(name);
+            // the engine compiles it, applies the error policy and reports back when it fails
+            voice.formula = String(formulaText || voice.formula).trim();
+            voice.active = true;
+            this._saveState();
+
+            await this._ensureAudioPrepared();
+            // ensure audio context resumed on user gesture
+            if (this.audioCtx && this.audioCtx.state === 'suspended') {
+                this.audioCtx.resume().catch(()=>{});
+            }
+
+            this._postVoice(name);
+            if (!this.playing) this._startAudio();
+        }
+
+        // Sends a formula change for the engine to make at `when` ({ atT } or { beats, bpm }).
+        // With the voice not playing there is nothing to line up with, so it starts right away.
+        async _scheduleVoice(name, formulaText, when) {
+            const voice = this._voiceSettings(name);
+            if (!this.playing || !voice.active) {
+                await this._startVoice(name, formulaText);
+                return;
+            }
+            voice.formula = String(formulaText || voice.formula).trim();
+            this._saveState();
+            this._postToNode(Object.assign({ type: 'scheduleVoice', voice: name, formula: voice.formula }, when));
+        }
+
+        _setVoiceProperty(name, prop, rawValue) {
+            const voice = this._voiceSettings(name);
+            const value = Number(rawValue);
+            if (/^volume$/i.test(prop)) {
+                voice.volume = Math.max(0, Math.min(4, isNaN(value) ? 1 : value));
+            } else if (/^sample\s*rate$/i.test(prop)) {
+                voice.rate = Math.max(100, Math.min(192000, Math.round(isNaN(value) ? 8000 : value)));
+            } else if (/^pan$/i.test(prop)) {
+                voice.pan = Math.max(-1, Math.min(1, isNaN(value) ? 0 : value));
+            } else if (/^mode$/i.test(prop)) {
+                const mode = normalizeMode(rawValue);
+                if (!mode) {
+                    console.warn('Unknown bytebeat mode:', rawValue);
+                    return;
+                }
+                voice.mode = mode;
+            } else {
+                console.warn('Unknown voice property:', prop);
+                return;
+            }
+            this._postVoice(name);
+        }
+
+        // sends a voice's full settings to the engine; the engine only recompiles when the formula changed
+        _postVoice(name) {
+            const voice = this.voices[name];
+            if (!voice || !voice.active) return;
+            this._postToNode({
+                type: 'setVoice',
+                voice: name,
+                formula: voice.formula,
+                mode: voice.mode,
+                rate: voice.rate,
+                volume: voice.volume,
+                pan: voice.pan
+            });
+        }
+
+        // -------------------------
+        // Transport
+        // -------------------------
+        _seek(seconds) {
+            if (!this.node) return;
+            this._position = { time: seconds, voices: {}, at: this.audioCtx.currentTime };
+            for (const name in this.voices) {
+                if (this.voices[name].active) this._position.voices[name] = seconds * this.voices[name].rate;
+            }
+            this._postToNode({ type: 'seek', time: seconds });
+        }
+
+        // seconds played since the last position report, so reporters move smoothly between reports
+        _positionDrift() {
+            if (!this.playing || this.paused || !this.audioCtx) return 0;
+            return Math.max(0, Math.min(0.1, this.audioCtx.currentTime - this._position.at));
+        }
+
         // -------------------------
         // Prepare audio (worklet or script fallback)
         // -------------------------
@@ -299,8 +1748,8 @@
                 try {
                     this.audioCtx = new (window.AudioContext || window.webkitAudioContext)();
                 } catch (e) {
-                    alert('Web Audio API not supported.');
-                    throw e;
+                    this._reportError('Web Audio API not supported.');
+                    return;
                 }
             }
 
@@ -328,49 +1777,73 @@
         // -------------------------
         _startAudio() {
             if (!this.audioCtx) return;
-            if (this.isPlaying) return;
+            if (this.playing) return;
 
             if (this._usingWorklet) {
                 // ensure resumed
                 if (this.audioCtx.state === 'suspended') this.audioCtx.resume().catch(()=>{});
                 this.node = new AudioWorkletNode(this.audioCtx, 'bytebeat-processor', {
                     numberOfOutputs: 1,
-                    outputChannelCount: [1],
-                    parameterData: { volume: this.volume, logicalS: this.logicalSampleRate }
+                    outputChannelCount: [2]
                 });
                 this.node.port.onmessage = (e) => this._handleNodeMessage(e.data);
-                this.node.connect(this.audioCtx.destination);
-                this._postToNode({ type: 'setChunkSize', size: this.preferredChunkSize });
-                this._postToNode({ type: 'setFormula', formula: this.formula });
+                this._connectOutput(this.node);
             } else {
                 // ScriptProcessor fallback
                 if (this.audioCtx.state === 'suspended') this.audioCtx.resume().catch(()=>{});
                 this._createScriptProcessor(this.preferredChunkSize);
-                // tell script node current formula & recording state
-                this._handleScriptMessage({ type: 'setFormula', formula: this.formula });
-                this._handleScriptMessage({ type: 'record', on: this.recording });
+                if (!this.node) return;
             }
+            // bring the fresh core up to date with the extension's state
+            this._postToNode({ type: 'setVolume', value: this.volume });
+            this._postToNode({ type: 'setChunkSize', size: this.preferredChunkSize });
+            this._postToNode({ type: 'record', on: this.recording, id: this._recordId });
+            this._postToNode({ type: 'pause', on: this.paused });
+            this._postToNode({ type: 'setErrorPolicy', policy: this.errorPolicy });
+            this._postToNode({ type: 'setParamSmoothing', ms: this.paramSmoothing });
+            this._postToNode({ type: 'setCrossfade', ms: this.crossfade });
+            this._postToNode({ type: 'setInterpolation', mode: this.interpolation });
+            for (const name in this.effects) this._postToNode({ type: 'setEffect', name: name, value: this.effects[name] });
+            for (const name in this.params) this._postToNode({ type: 'setParam', name: name, value: this.params[name] });
+            for (const name in this.voices) this._postVoice(name);
 
-            this.isPlaying = true;
+            this.playing = true;
         }
 
+        // The old engine is cut off completely: its messages would otherwise keep moving the position
+        // reporters and firing error hats after stop, or alongside the next engine after a restart.
         _stopAudio() {
-            if (!this.isPlaying) return;
+            if (!this.playing) return;
             if (this.node) {
                 try {
-                    this._postToNode({ type: 'record', on: false });
+                    // a recording keeps going on the next start; its chunks up to here are still collected
+                    this._postToNode({ type: 'record', on: false, id: this._recordId });
+                    if (this._usingWorklet) {
+                        const node = this.node;
+                        this._postToNode({ type: 'dispose' });
+                        // nothing but record chunks gets through any more, up to the last one
+                        node.port.onmessage = (e) => {
+                            if (!e.data || e.data.type !== 'recordChunk') return;
+                            if (e.data.last) node.port.onmessage = null;
+                            this._handleNodeMessage(e.data);
+                        };
+                    } else {
+                        this.node.onaudioprocess = null;
+                    }
                     this.node.disconnect();
                 } catch (e) {}
                 this.node = null;
             }
-            this.isPlaying = false;
+            this._scriptCore = null;
+            this._position = { time: 0, voices: {}, at: 0 };
+            this.playing = false;
         }
 
         _postToNode(msg) {
             if (!this.node) return;
             try {
                 if (this._usingWorklet && this.node.port) this.node.port.postMessage(msg);
-                else if (!this._usingWorklet) this._handleScriptMessage(msg);
+                else if (!this._usingWorklet) this._scriptCore.handleMessage(msg);
             } catch (e) {
                 console.warn('postToNode failed', e);
             }
@@ -379,22 +1852,27 @@
         _handleNodeMessage(data) {
             if (!data) return;
             if (data.type === 'error') {
-                // notify and ensure fallback formula is set
-                alert('Bytebeat worklet error: ' + data.message + '\nSwitching to error fallback pattern.');
-                this._postToNode({ type: 'setFormula', formula: ERROR_FALLBACK_FORMULA });
+                // the engine has already applied the error policy
+                this._reportError(data.message, data.formula, data.voice);
+            } else if (data.type === 'position') {
+                this._position = { time: data.time, voices: data.voices, at: this.audioCtx ? this.audioCtx.currentTime : 0 };
             } else if (data.type === 'recordChunk') {
-                const chunk = data.chunk;
-                if (chunk instanceof Float32Array) {
-                    for (let i = 0; i < chunk.length; i++) this.recordedSamples.push(chunk[i]);
-                } else if (Array.isArray(chunk)) {
-                    for (let i = 0; i < chunk.length; i++) this.recordedSamples.push(Number(chunk[i]) || 0);
-                }
-                if (this.recordedSamples.length > this.recordMaxSamples) {
-                    this.recording = false;
-                    this.recordedSamples.length = 0;
-                    this._postToNode({ type: 'record', on: false });
-                    alert('Recording stopped — reached maximum allowed length.');
+                // only chunks of the recording that is running or being stopped; anything else is left over
+                if (!(data.chunk instanceof Float32Array) || data.id !== this._recordId) return;
+                if (!this.recording && !this._recordStopped) return;
+                if (data.chunk.length > 0) {
+                    if (!this._recordBuffer) {
+                        this._recordBuffer = new RecordingBuffer(this.recordMaxSeconds * this.audioCtx.sampleRate, this.recordPolicy);
+                    }
+                    if (data.stereo) this.recordedStereo = true;
+                    if (!this._recordBuffer.append(data.chunk) && this.recording) {
+                        // what was recorded so far stays available to the stop blocks
+                        this.recording = false;
+                        this._postToNode({ type: 'record', on: false, id: this._recordId });
+                        console.warn('Recording stopped at the length limit of ' + this.recordMaxSeconds + ' s.');
+                    }
                 }
+                if (data.last && this._recordStopped) this._recordStopped();
             }
         }
 
@@ -404,122 +1882,51 @@
         _createScriptProcessor(bufferSize) {
             const bs = Math.max(256, Math.min(16384, Math.round(bufferSize || 1024)));
             try {
-                this.node = this.audioCtx.createScriptProcessor ? this.audioCtx.createScriptProcessor(bs, 0, 1) : this.audioCtx.createJavaScriptNode(bs, 0, 1);
+                this.node = this.audioCtx.createScriptProcessor ? this.audioCtx.createScriptProcessor(bs, 0, 2) : this.audioCtx.createJavaScriptNode(bs, 0, 2);
             } catch (e) {
                 try {
-                    this.node = this.audioCtx.createScriptProcessor(1024, 0, 1);
+                    this.node = this.audioCtx.createScriptProcessor(1024, 0, 2);
                 } catch (err) {
-                    alert('Failed to create ScriptProcessorNode fallback.');
-                    throw err;
+                    this._reportError('Failed to create ScriptProcessorNode fallback: ' + (err && err.message ? err.message : String(err)));
+                    this.node = null;
+                    return;
                 }
             }
 
-            const self = this;
-            let t = 0.0;
-            const sr = this.audioCtx.sampleRate;
+            // the core (voices, transport, recording) outlives _recreateScriptProcessor (buffer size changes),
+            // so playback keeps its place
+            if (!this._scriptCore) this._scriptCore = new BytebeatCore(this.audioCtx.sampleRate, (msg) => this._handleNodeMessage(msg));
+            const core = this._scriptCore;
+            this.node.onaudioprocess = (e) => {
+                const outputBuffer = e.outputBuffer;
+                core.process(outputBuffer.getChannelData(0), outputBuffer.numberOfChannels > 1 ? outputBuffer.getChannelData(1) : null);
+            };
 
-            this._scriptCompiledFunc = null;
-            this._scriptRecordBuffer = [];
-            this._scriptRecording = false;
-            this._scriptRecordChunkSize = this.preferredChunkSize;
+            this._connectOutput(this.node);
+        }
 
-            try {
-                this._scriptCompiledFunc = new Function('t','s','T','return (' + this.formula + ')|0;');
-                this._scriptCompiledFunc(0, this.logicalSampleRate, 0);
-            } catch (e) {
-                try {
-                    this._scriptCompiledFunc = new Function('t','s','T','return (' + ERROR_FALLBACK_FORMULA + ')|0;');
-                    console.warn('ScriptProcessor compiled fallback due to compile error:', e && e.message);
-                } catch (ee) {
-                    this._scriptCompiledFunc = null;
-                    console.error('ScriptProcessor fallback compile failed', ee && ee.message);
-                }
+        // -------------------------
+        // Output / analysis
+        // -------------------------
+        // engine node -> analyser -> destination, for both the worklet and the ScriptProcessor
+        _connectOutput(node) {
+            if (!this.analyser) {
+                this.analyser = this.audioCtx.createAnalyser();
+                this.analyser.fftSize = 2048;
+                this.analyser.connect(this.audioCtx.destination);
             }
+            node.connect(this.analyser);
+        }
 
-            const processFunc = function (audioProcessingEvent) {
-                const outputBuffer = audioProcessingEvent.outputBuffer;
-                const out = outputBuffer.getChannelData(0);
-                const blockLen = out.length;
-                const logicalS = Math.max(1, self.logicalSampleRate || 8000);
-                const increment = logicalS / sr;
-
-                for (let i = 0; i < blockLen; i++) {
-                    let raw = 0;
-                    if (self._scriptCompiledFunc) {
-                        try {
-                            raw = self._scriptCompiledFunc(Math.floor(t), logicalS, t / logicalS);
-                        } catch (err) {
-                            try {
-                                self._scriptCompiledFunc = new Function('t','s','T','return (' + ERROR_FALLBACK_FORMULA + ')|0;');
-                                console.warn('ScriptProcessor runtime error — switched to fallback:', err && err.message);
-                            } catch (ee) {
-                                self._scriptCompiledFunc = null;
-                                console.error('ScriptProcessor fallback failed', ee && ee.message);
-                            }
-                            raw = 0;
-                        }
-                    } else raw = 0;
-
-                    const v8 = (raw | 0) & 255;
-                    let sample = (v8 / 128) - 1;
-                    sample = sample * (self.volume || 1.0);
-
-                    out[i] = sample;
-
-                    if (self._scriptRecording) {
-                        self._scriptRecordBuffer.push(sample);
-                        if (self._scriptRecordBuffer.length >= self._scriptRecordChunkSize) {
-                            try {
-                                const chunk = new Float32Array(self._scriptRecordBuffer);
-                                self._handleNodeMessage({ type: 'recordChunk', chunk: chunk });
-                            } catch (e) {
-                                self._handleNodeMessage({ type: 'recordChunk', chunk: self._scriptRecordBuffer.slice(0) });
-                            }
-                            self._scriptRecordBuffer = [];
-                        }
-                    }
-                    t += increment;
-                }
-            };
-
-            this.node.onaudioprocess = processFunc;
-
-            this._handleScriptMessage = (msg) => {
-                if (!msg || !msg.type) return;
-                if (msg.type === 'setFormula') {
-                    try {
-                        this._scriptCompiledFunc = new Function('t','s','T','return (' + msg.formula + ')|0;');
-                        t = 0.0;
-                    } catch (e) {
-                        try {
-                            this._scriptCompiledFunc = new Function('t','s','T','return (' + ERROR_FALLBACK_FORMULA + ')|0;');
-                        } catch (ee) {
-                            this._scriptCompiledFunc = null;
-                        }
-                    }
-                } else if (msg.type === 'record') {
-                    this._scriptRecording = !!msg.on;
-                    if (!this._scriptRecording) {
-                        if (this._scriptRecordBuffer.length > 0) {
-                            try {
-                                const chunk = new Float32Array(this._scriptRecordBuffer);
-                                this._handleNodeMessage({ type: 'recordChunk', chunk: chunk });
-                            } catch (err) {
-                                this._handleNodeMessage({ type: 'recordChunk', chunk: this._scriptRecordBuffer.slice(0) });
-                            }
-                            this._scriptRecordBuffer = [];
-                        }
-                    }
-                } else if (msg.type === 'setChunkSize') {
-                    this._scriptRecordChunkSize = Math.max(128, Math.min(65536, Number(msg.size) || this._scriptRecordChunkSize));
-                } else if (msg.type === 'resetTime') {
-                    t = 0.0;
-                } else if (msg.type === 'setVolume') {
-                    // handled by reading this.volume from closure
-                }
-            };
-
-            this.node.connect(this.audioCtx.destination);
+        // latest analyser window (at least minLength samples when possible), or null when nothing plays
+        _analyserWaveform(minLength) {
+            if (!this.playing || !this.analyser) return null;
+            let size = this.analyser.fftSize;
+            while (size < minLength && size < 32768) size *= 2;
+            if (size !== this.analyser.fftSize) this.analyser.fftSize = size;
+            const data = new Float32Array(size);
+            this.analyser.getFloatTimeDomainData(data);
+            return data;
         }
 
         _recreateScriptProcessor() {
@@ -531,16 +1938,233 @@
                 this.node = null;
             }
             this._createScriptProcessor(this.preferredChunkSize);
-            this._handleScriptMessage({ type: 'record', on: this.recording });
-            this._handleScriptMessage({ type: 'setFormula', formula: this.formula });
+            if (!this.node) this._stopAudio();
+        }
+
+        // -------------------------
+        // Offline render
+        // -------------------------
+        _clampRenderRate(value) {
+            const rate = Math.round(Number(value));
+            return Math.max(100, Math.min(192000, isNaN(rate) ? 8000 : rate));
+        }
+
+        // Evaluates a formula with the main voice's mode and the current parameter values at t = 0, 1, 2, ...
+        // (same math as the engines at a 1:1 rate).
+        // At most maxFrames frames; a longer render is cut short and reported as an error.
+        // Returns { samples: Float32Array of interleaved L/R, stereo } or null when the formula is unusable.
+        _renderFormula(formulaText, seconds, rate, maxFrames) {
+            const formula = String(formulaText || '').trim();
+            const params = createParams();
+            for (const name in this.params) applyParamMessage(params, { type: 'setParam', name: name, value: this.params[name] }, rate);
+            let compiled;
+            try {
+                compiled = compileFormula(formula, name => params.names.indexOf(name));
+            } catch (e) {
+                this._reportError('Render: compile error: ' + (e && e.message ? e.message : String(e)), formula);
+                return null;
+            }
+
+            const requested = Math.floor(Math.max(0, Number(seconds) || 0) * rate);
+            const frames = Math.min(maxFrames, requested);
+            if (frames < requested) {
+                this._reportError('Render cut to ' + (frames / rate).toFixed(1) + ' s (at most ' + maxFrames + ' samples at ' + rate + ' Hz)', formula);
+            }
+            const samples = new Float32Array(frames * 2);
+            const frame = [0, 0];
+            let stereo = false;
+            for (let i = 0; i < frames; i++) {
+                try {
+                    bytebeatFrame(compiled, i, rate, this.voices[MAIN_VOICE].mode, 1, frame, params.values);
+                } catch (e) {
+                    this._reportError('Render: runtime error at t=' + i + ': ' + (e && e.message ? e.message : String(e)), formula);
+                    return null;
+                }
+                samples[2 * i] = frame[0];
+                samples[2 * i + 1] = frame[1];
+                if (frame[0] !== frame[1]) stereo = true;
+            }
+            return { samples: samples, stereo: stereo };
         }
 
         // -------------------------
         // Utils
         // -------------------------
-        _makeWavBlob(samplesFloatArray, sampleRate) {
+        // never a modal dialog: keeps the error for the reporter and starts the "when bytebeat error" hats
+        _reportError(message, formula, voice) {
+            this._lastError = { message: String(message), formula: formula ? String(formula) : '', voice: voice ? String(voice) : '' };
+            console.warn('Bytebeat error' + (voice ? ' in voice "' + voice + '"' : '') + ':', message);
+            if (this.runtime) this.runtime.startHats('yoog_whenError');
+        }
+
+        // -------------------------
+        // Saved state and presets
+        // -------------------------
+        _preset(name) {
+            const key = String(name);
+            return Object.prototype.hasOwnProperty.call(this.presets, key) ? this.presets[key] : null;
+        }
+
+        _presetMenu() {
+            const names = Object.keys(this.presets);
+            return names.length > 0 ? names : [''];
+        }
+
+        // what goes into the project: voice settings, "set [PROPERTY]" values and presets (plain JSON)
+        _saveState() {
+            if (!this.runtime || !this.runtime.extensionStorage) return;
+            const voices = {};
+            for (const name in this.voices) {
+                const voice = this.voices[name];
+                voices[name] = { formula: voice.formula, rate: voice.rate, volume: voice.volume, pan: voice.pan, mode: voice.mode };
+            }
+            const settings = {
+                'Volume': this.volume,
+                'Buffer size': this.preferredChunkSize,
+                'Parameter smoothing': this.paramSmoothing,
+                'Crossfade': this.crossfade,
+                'Tempo': this.tempo,
+                'Interpolation': this.interpolation
+            };
+            for (const key in EFFECT_PROPERTIES) {
+                const [name, min] = EFFECT_PROPERTIES[key];
+                settings[key] = Object.prototype.hasOwnProperty.call(this.effects, name) ? this.effects[name] : min;
+            }
+            this.runtime.extensionStorage.yoog = { voices: voices, settings: settings, presets: Object.assign({}, this.presets) };
+        }
+
+        // Applies saved state through the usual setters, so bad values get the same clamping as block input.
+        // Anything missing falls back to the defaults.
+        _loadState(state) {
+            const saved = state && typeof state === 'object' ? state : {};
+            this.voices = {};
+            const voices = saved.voices && typeof saved.voices === 'object' ? saved.voices : {};
+            for (const name in voices) {
+                const voice = voices[name] || {};
+                this._voiceSettings(name).formula = typeof voice.formula === 'string' ? voice.formula : DEFAULT_FORMULA;
+                if (voice.rate !== undefined) this._setVoiceProperty(name, 'Sample rate', voice.rate);
+                if (voice.volume !== undefined) this._setVoiceProperty(name, 'Volume', voice.volume);
+                if (voice.pan !== undefined) this._setVoiceProperty(name, 'Pan', voice.pan);
+                if (voice.mode !== undefined) this._setVoiceProperty(name, 'Mode', voice.mode);
+            }
+            this._voiceSettings(MAIN_VOICE);
+
+            const settings = Object.assign({}, SAVED_PROPERTIES, saved.settings);
+            for (const key in EFFECT_PROPERTIES) {
+                if (!Object.prototype.hasOwnProperty.call(settings, key)) settings[key] = EFFECT_PROPERTIES[key][1];
+            }
+            for (const prop in settings) this._applyProperty({ PROPERTY: prop, VALUE: settings[prop] });
+
+            this.presets = {};
+            const presets = saved.presets && typeof saved.presets === 'object' ? saved.presets : {};
+            for (const name in presets) {
+                const preset = presets[name];
+                if (!preset || typeof preset.formula !== 'string') continue;
+                this.presets[name] = { formula: preset.formula, rate: Number(preset.rate) || 8000, mode: normalizeMode(preset.mode) || 'Bytebeat' };
+            }
+        }
+
+        _listMenu() {
+            const names = [];
+            const targets = this.runtime ? [this.runtime.getTargetForStage(), this.runtime.getEditingTarget()] : [];
+            for (const target of targets) {
+                if (!target) continue;
+                for (const id in target.variables) {
+                    const variable = target.variables[id];
+                    if (variable.type === 'list' && names.indexOf(variable.name) === -1) names.push(variable.name);
+                }
+            }
+            return names.length > 0 ? names : [''];
+        }
+
+        // sprite-local list first, then the stage's global list of the same name
+        _lookupList(name, util) {
+            const target = util && util.target;
+            if (!target) return null;
+            return target.lookupVariableByNameAndType(String(name), 'list') || null;
+        }
+
+        _downloadBlob(blob, filename) {
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            document.body.appendChild(a);
+            a.click();
+            setTimeout(() => {
+                URL.revokeObjectURL(url);
+                a.remove();
+            }, 1000);
+        }
+
+        // Stops recording and hands back what was recorded, or null when nothing was.
+        // Resolves to { samples (interleaved when stereo), channels, rate } following the WAV rate setting.
+        async _takeRecording() {
+            if (this.recording) {
+                this.recording = false;
+                await this._stopEngineRecording();
+            }
+
+            const buffer = this._recordBuffer;
+            const channels = this.recordedStereo ? 2 : 1;
+            this._recordBuffer = null;
+            this.recordedStereo = false;
+            if (!buffer || buffer.frames === 0) return null;
+
+            let samples = buffer.toFloat32Array();
+            if (channels === 1) samples = samples.filter((_, i) => (i & 1) === 0);
+            let rate = this.audioCtx ? this.audioCtx.sampleRate : 44100;
+            if (this.wavRate === 'logical') {
+                const logicalRate = this._voiceSettings(MAIN_VOICE).rate;
+                samples = this._resampleHold(samples, channels, rate, logicalRate);
+                rate = logicalRate;
+            }
+            return { samples: samples, channels: channels, rate: rate };
+        }
+
+        // Sends "record off" and waits for the engine's last chunk, which for the worklet arrives a little
+        // later. Gives up after a second rather than leave the block hanging.
+        _stopEngineRecording() {
+            return new Promise(resolve => {
+                if (!this.node) {
+                    resolve();
+                    return;
+                }
+                const done = () => {
+                    clearTimeout(timer);
+                    if (this._recordStopped === done) this._recordStopped = null;
+                    resolve();
+                };
+                const timer = setTimeout(done, 1000);
+                this._recordStopped = done;
+                this._postToNode({ type: 'record', on: false, id: this._recordId });
+            });
+        }
+
+        // Point-samples interleaved audio to a new rate, reading the middle of each output step. Bytebeat
+        // output holds each value for a whole logical step, so going back to the logical rate this way
+        // restores the original samples.
+        _resampleHold(samples, channels, fromRate, toRate) {
+            const inFrames = Math.floor(samples.length / channels);
+            const outFrames = Math.floor(inFrames * toRate / fromRate);
+            const out = new Float32Array(outFrames * channels);
+            for (let i = 0; i < outFrames; i++) {
+                const src = Math.min(inFrames - 1, Math.floor((i + 0.5) * fromRate / toRate));
+                for (let c = 0; c < channels; c++) out[i * channels + c] = samples[src * channels + c];
+            }
+            return out;
+        }
+
+        _makeWavBlob(samplesFloatArray, sampleRate, channels, bits) {
+            return new Blob([this._encodeWav(samplesFloatArray, sampleRate, channels, bits)], { type: 'audio/wav' });
+        }
+
+        // samplesFloatArray is interleaved when channels > 1; bits is 8 (unsigned PCM), 16 (PCM) or 32 (IEEE float)
+        _encodeWav(samplesFloatArray, sampleRate, channels, bits) {
+            const numChannels = channels === 2 ? 2 : 1;
+            const bytesPerSample = bits === 8 ? 1 : (bits === 32 ? 4 : 2);
             const len = samplesFloatArray.length;
-            const buffer = new ArrayBuffer(44 + len * 2);
+            const buffer = new ArrayBuffer(44 + len * bytesPerSample);
             const view = new DataView(buffer);
 
             function writeString(view, offset, string) {
@@ -548,36 +2172,40 @@
             }
 
             writeString(view, 0, 'RIFF');
-            view.setUint32(4, 36 + len * 2, true);
+            view.setUint32(4, 36 + len * bytesPerSample, true);
             writeString(view, 8, 'WAVE');
             writeString(view, 12, 'fmt ');
             view.setUint32(16, 16, true);
-            view.setUint16(20, 1, true);
-            view.setUint16(22, 1, true);
+            view.setUint16(20, bytesPerSample === 4 ? 3 : 1, true);
+            view.setUint16(22, numChannels, true);
             view.setUint32(24, sampleRate, true);
-            view.setUint32(28, sampleRate * 2, true);
-            view.setUint16(32, 2, true);
-            view.setUint16(34, 16, true);
+            view.setUint32(28, sampleRate * numChannels * bytesPerSample, true);
+            view.setUint16(32, numChannels * bytesPerSample, true);
+            view.setUint16(34, bytesPerSample * 8, true);
             writeString(view, 36, 'data');
-            view.setUint32(40, len * 2, true);
+            view.setUint32(40, len * bytesPerSample, true);
 
             let offset = 44;
-            for (let i = 0; i < len; i++, offset += 2) {
+            for (let i = 0; i < len; i++, offset += bytesPerSample) {
                 let s = Math.max(-1, Math.min(1, samplesFloatArray[i]));
-                const int16 = s < 0 ? s * 0x8000 : s * 0x7FFF;
-                view.setInt16(offset, Math.round(int16), true);
-            }
-            return new Blob([view], { type: 'audio/wav' });
-        }
-
-        _sanityCheckFormula(formula) {
-            const forbidden = ['while','for','function','=>','await','async','import','export','constructor','this','XMLHttpRequest','fetch','setInterval','setTimeout'];
-            for (const f of forbidden) {
-                if (formula.includes(f)) throw new Error('Formula contains forbidden substring: ' + f);
+                if (bytesPerSample === 1) {
+                    view.setUint8(offset, Math.round((s + 1) * 127.5));
+                } else if (bytesPerSample === 4) {
+                    view.setFloat32(offset, s, true);
+                } else {
+                    const int16 = s < 0 ? s * 0x8000 : s * 0x7FFF;
+                    view.setInt16(offset, Math.round(int16), true);
+                }
             }
-            if (formula.length > 2000) throw new Error('Formula too long');
+            return buffer;
         }
     }
 
-    Scratch.extensions.register(new BytebeatExtension());
-})(window.Scratch);
+    if (Scratch && Scratch.extensions) {
+        Scratch.extensions.register(new BytebeatExtension(Scratch.vm && Scratch.vm.runtime));
+    }
+    // outside TurboWarp (e.g. Node) the engine can be used on its own
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { BytebeatCore, BytebeatExtension, compileFormula, bytebeatSample, workletSource };
+    }
+})(typeof window !== 'undefined' ? window.Scratch : undefined);
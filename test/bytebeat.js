@@ -0,0 +1,224 @@
+// Sample-exact checks for the bytebeat engines in bytebeat.js.
+// Usage: node test/bytebeat.js
+// Runs known formulas through BytebeatCore (what the ScriptProcessor fallback uses) and through the
+// AudioWorklet processor built from workletSource, and compares every output sample with values
+// computed here by hand. Exits non-zero when anything differs.
+
+'use strict';
+
+const vm = require('vm');
+const { BytebeatCore, workletSource } = require('../bytebeat.js');
+
+// ScriptProcessor path: the core directly, fed blocks of `block` frames
+function coreEngine (sampleRate, block) {
+    const core = new BytebeatCore(sampleRate, () => {});
+    return {
+        send: msg => core.handleMessage(msg),
+        render: frames => renderBlocks(frames, block, (left, right) => core.process(left, right))
+    };
+}
+
+// AudioWorklet path: workletSource evaluated in a fake AudioWorkletGlobalScope, 128-frame render quanta
+function workletEngine (sampleRate) {
+    const processors = {};
+    const scope = {
+        sampleRate: sampleRate,
+        AudioWorkletProcessor: class {
+            constructor () {
+                this.port = { postMessage () {} };
+            }
+        },
+        registerProcessor: (name, cls) => { processors[name] = cls; }
+    };
+    vm.runInNewContext(workletSource, scope);
+    const processor = new processors['bytebeat-processor']();
+    return {
+        processor: processor,
+        send: msg => processor.port.onmessage && processor.port.onmessage({ data: msg }),
+        render: frames => renderBlocks(frames, 128, (left, right) => processor.process([], [right ? [left, right] : [left]]))
+    };
+}
+
+function renderBlocks (frames, block, processBlock) {
+    const left = new Float32Array(frames);
+    const right = new Float32Array(frames);
+    for (let start = 0; start < frames; start += block) {
+        const end = Math.min(frames, start + block);
+        processBlock(left.subarray(start, end), right.subarray(start, end));
+    }
+    return { left: left, right: right };
+}
+
+// reference conversions, written out independently of bytebeatSample
+const bytebeat = v => (v & 255) / 128 - 1;
+const signed = v => ((v << 24) >> 24) / 128;
+const float = v => Math.max(-1, Math.min(1, v));
+
+const CASES = [
+    {
+        name: 'Bytebeat',
+        voice: { formula: 't*(t>>5|t>>8)', mode: 'Bytebeat', rate: 8000 },
+        sampleRate: 8000,
+        expect: i => [bytebeat(i * (i >> 5 | i >> 8))]
+    },
+    {
+        name: 'Signed bytebeat',
+        voice: { formula: '(t*(t>>4))&(t>>7)', mode: 'Signed bytebeat', rate: 8000 },
+        sampleRate: 8000,
+        expect: i => [signed((i * (i >> 4)) & (i >> 7))]
+    },
+    {
+        name: 'Floatbeat',
+        voice: { formula: 'sin(t*PI/32)*1.5', mode: 'Floatbeat', rate: 8000 },
+        sampleRate: 8000,
+        expect: i => [float(Math.sin(i * Math.PI / 32) * 1.5)]
+    },
+    {
+        name: 'stereo [L, R]',
+        voice: { formula: '[t, t*3>>1]', mode: 'Bytebeat', rate: 8000 },
+        sampleRate: 8000,
+        expect: i => [bytebeat(i), bytebeat(i * 3 >> 1)]
+    },
+    {
+        name: '11025 Hz voice at 44100 Hz, half volume',
+        voice: { formula: 't', mode: 'Bytebeat', rate: 11025, volume: 0.5 },
+        sampleRate: 44100,
+        expect: i => [bytebeat(Math.floor(i / 4)) / 2]
+    }
+];
+
+const FRAMES = 10000;
+let failures = 0;
+
+function check (name, ok, detail) {
+    if (!ok) failures++;
+    console.log((ok ? 'ok    ' : 'FAIL  ') + name + (ok || !detail ? '' : ': ' + detail));
+}
+
+// first frame where the output differs from expected, or -1
+function firstMismatch (output, expect) {
+    for (let i = 0; i < output.left.length; i++) {
+        const values = expect(i);
+        const left = Math.fround(values[0]);
+        const right = Math.fround(values.length > 1 ? values[1] : values[0]);
+        if (output.left[i] !== left || output.right[i] !== right) return i;
+    }
+    return -1;
+}
+
+for (const test of CASES) {
+    const engines = {
+        'ScriptProcessor core': coreEngine(test.sampleRate, 4096),
+        'AudioWorklet': workletEngine(test.sampleRate)
+    };
+    for (const engineName in engines) {
+        const engine = engines[engineName];
+        engine.send(Object.assign({ type: 'setVoice', voice: 'main', volume: 1, pan: 0 }, test.voice));
+        const output = engine.render(FRAMES);
+        const at = firstMismatch(output, test.expect);
+        check(engineName + ', ' + test.name, at === -1, at === -1 ? '' : 'frame ' + at + ' is [' + output.left[at] + ', ' +
+            output.right[at] + '], expected ' + JSON.stringify(test.expect(at)));
+    }
+}
+
+// Everything at once, with different block sizes: both engines have to stay identical to the sample.
+const SCENARIO = [
+    { type: 'setInterpolation', mode: 'cubic' },
+    { type: 'setParamSmoothing', ms: 5 },
+    { type: 'setParam', name: 'a', value: 3 },
+    { type: 'setCrossfade', ms: 20 },
+    { type: 'setEffect', name: 'lowpass', value: 3000 },
+    { type: 'setEffect', name: 'bits', value: 6 },
+    { type: 'setVoice', voice: 'main', formula: 't*a&t>>6', mode: 'Bytebeat', rate: 11025, volume: 0.8, pan: 0 },
+    { type: 'setVoice', voice: 'pad', formula: '[sin(t/20), cos(t/30)]', mode: 'Floatbeat', rate: 8000, volume: 0.5, pan: -0.5 },
+    { type: 'scheduleVoice', voice: 'main', formula: 't*(a+2)&t>>5', atT: 5000 },
+    { type: 'scheduleVoice', voice: 'pad', formula: 'sin(t/10)', beats: 1, bpm: 600 }
+];
+const outputs = [coreEngine(48000, 1024), workletEngine(48000)].map(engine => {
+    SCENARIO.forEach(engine.send);
+    const first = engine.render(9000);
+    engine.send({ type: 'setParam', name: 'a', value: 7 });
+    const second = engine.render(9000);
+    return [first, second];
+});
+let differs = -1;
+for (let part = 0; part < 2 && differs === -1; part++) {
+    const a = outputs[0][part];
+    const b = outputs[1][part];
+    for (let i = 0; i < a.left.length; i++) {
+        if (a.left[i] !== b.left[i] || a.right[i] !== b.right[i]) {
+            differs = part * 9000 + i;
+            break;
+        }
+    }
+}
+check('ScriptProcessor core and AudioWorklet identical (cubic, params, crossfade, schedules, effects)', differs === -1,
+    'first difference at frame ' + differs);
+
+// "stop voice" after a scheduled switch: the switch must not bring the voice back
+for (const [engineName, engine] of [['ScriptProcessor core', coreEngine(8000, 4096)], ['AudioWorklet', workletEngine(8000)]]) {
+    engine.send({ type: 'setVoice', voice: 'main', formula: 't', mode: 'Floatbeat', rate: 11025, volume: 1, pan: 0 });
+    engine.send({ type: 'scheduleVoice', voice: 'main', formula: 't*2', atT: 100000 });
+    engine.send({ type: 'scheduleVoice', voice: 'main', formula: 't*3', beats: 1, bpm: 120 });
+    engine.send({ type: 'removeVoice', voice: 'main' });
+    const output = engine.render(FRAMES);
+    check(engineName + ', stopped voice stays stopped with switches pending', output.left.every(x => x === 0) && output.right.every(x => x === 0));
+}
+
+// A crossfade with linear/cubic interpolation: the outgoing formula stays interpolated, so the first fade
+// frame (all outgoing) is exactly what would have played without the switch, and the fade has no steps.
+for (const mode of ['linear', 'cubic']) {
+    const outputs = [false, true].map(switching => {
+        const engine = coreEngine(48000, 128);
+        engine.send({ type: 'setInterpolation', mode: mode });
+        engine.send({ type: 'setCrossfade', ms: 50 });
+        engine.send({ type: 'setVoice', voice: 'main', formula: 'sin(t/3)', mode: 'Floatbeat', rate: 8000, volume: 1, pan: 0 });
+        engine.render(1000);
+        if (switching) engine.send({ type: 'setVoice', voice: 'main', formula: 'sin(t/3+0.2)' });
+        return engine.render(2400).left;
+    });
+    let largestStep = 0;
+    for (let i = 1; i < outputs[1].length; i++) largestStep = Math.max(largestStep, Math.abs(outputs[1][i] - outputs[1][i - 1]));
+    // sin(t/3) at 8 kHz moves at most 1/3 * 8000/48000 per output frame
+    check('crossfade keeps ' + mode + ' interpolation', outputs[1][0] === outputs[0][0] && largestStep < 0.06,
+        'first frame ' + outputs[1][0] + ' vs ' + outputs[0][0] + ', largest step ' + largestStep);
+}
+
+// "record off" is answered with a chunk marked last holding the rest of the recording, so nothing is
+// lost at the end; chunks carry the recording's id.
+{
+    const chunks = [];
+    const core = new BytebeatCore(8000, msg => { if (msg.type === 'recordChunk') chunks.push(msg); });
+    core.handleMessage({ type: 'setVoice', voice: 'main', formula: 't', mode: 'Bytebeat', rate: 8000, volume: 1, pan: 0 });
+    core.handleMessage({ type: 'record', on: true, id: 7 });
+    const left = new Float32Array(10000);
+    core.process(left, new Float32Array(10000));
+    core.handleMessage({ type: 'record', on: false, id: 7 });
+    core.handleMessage({ type: 'record', on: false, id: 7 });
+    const frames = chunks.reduce((sum, chunk) => sum + chunk.chunk.length / 2, 0);
+    const last = chunks.filter(chunk => chunk.last);
+    let exact = true;
+    let i = 0;
+    for (const chunk of chunks) {
+        for (let k = 0; k < chunk.chunk.length; k += 2) if (chunk.chunk[k] !== left[i++]) exact = false;
+    }
+    check('record off sends the rest as a last chunk', frames === 10000 && exact && chunks.every(chunk => chunk.id === 7) &&
+        last.length === 2 && chunks[chunks.length - 2] === last[0] && last[1].chunk.length === 0,
+        frames + ' frames in ' + chunks.length + ' chunks, ' + last.length + ' marked last');
+}
+
+// "stop bytebeat" disposes the worklet: it stops rendering and posting, and ignores later messages
+{
+    const engine = workletEngine(8000);
+    const posted = [];
+    engine.processor.port.postMessage = msg => posted.push(msg);
+    engine.send({ type: 'setVoice', voice: 'main', formula: 't', mode: 'Bytebeat', rate: 8000, volume: 1, pan: 0 });
+    engine.send({ type: 'dispose' });
+    engine.send({ type: 'setVoice', voice: 'main', formula: 't*2' });
+    const keepAlive = engine.processor.process([], [[new Float32Array(128), new Float32Array(128)]]);
+    engine.render(8000);
+    check('AudioWorklet, disposed processor ends and stays silent', keepAlive === false && posted.length === 0);
+}
+
+console.log(failures ? '\n' + failures + ' failed' : '\nall passed');
+if (failures) process.exitCode = 1;